@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+// =====================================
+// Seating Planner — command line
+// Solves plans saved with "Export JSON" without a browser.
+// =====================================
+//
+//   node cli.js 7A.json                        solved plan to stdout
+//   node cli.js 7A.json -o 7A.solved.json
+//   node cli.js classes/*.json --out-dir plans
+//
+// Same core, same settings and same seed as the page => the same plan.
+
+const fs = require("fs");
+const path = require("path");
+const PlannerCore = require("./planner-core.js");
+
+const USAGE = `Usage: node cli.js <plan.json>... [options]
+
+Options:
+  -o, --out <file>      write the solved plan here (single input only)
+  --out-dir <dir>       write each solved plan to <dir>/<input name>
+  --restarts <n>        restarts (default 25)
+  --iters <n>           iterations per restart (default 25000)
+  --t0 <x>              start temperature (default 6.0)
+  --t1 <x>              end temperature (default 0.05)
+  --seed <n>            random seed (default 12345)
+  --mode <m>            anneal (default), exact-anneal or exact: search for a
+                        plan meeting every hard rule first (see the page's
+                        "Solver settings")
+  --improve             run "Quick Improve" from the saved assignment instead of solving
+  -q, --quiet           no per-file summary on stderr
+  -h, --help            show this help`;
+
+function parseArgs(argv){
+const opts = { inputs: [], settings: {} };
+const valueFlags = {
+    "--restarts": "restarts", "--iters": "itersPerRestart",
+    "--t0": "t0", "--t1": "t1", "--seed": "seed",
+};
+for(let i=0;i<argv.length;i++){
+    const a = argv[i];
+    const next = () => {
+    if(i+1 >= argv.length) throw new Error(`${a} needs a value`);
+    return argv[++i];
+    };
+    if(a === "-h" || a === "--help") opts.help = true;
+    else if(a === "-q" || a === "--quiet") opts.quiet = true;
+    else if(a === "--improve") opts.improve = true;
+    else if(a === "-o" || a === "--out") opts.out = next();
+    else if(a === "--out-dir") opts.outDir = next();
+    else if(a === "--mode"){
+    const v = next();
+    if(!["anneal", "exact-anneal", "exact"].includes(v)) throw new Error(`--mode expects anneal, exact-anneal or exact, got "${v}"`);
+    opts.settings.mode = v;
+    }
+    else if(a in valueFlags){
+    const v = next();
+    if(!Number.isFinite(Number(v))) throw new Error(`${a} expects a number, got "${v}"`);
+    opts.settings[valueFlags[a]] = v;
+    }
+    else if(a.startsWith("-")) throw new Error(`Unknown option: ${a}`);
+    else opts.inputs.push(a);
+}
+return opts;
+}
+
+const EXACT_STATUS = {
+feasible: "found a plan meeting every hard rule",
+infeasible: "the hard rules can't all hold",
+unknown: "gave up before finding a plan",
+};
+
+function solveFile(file, opts){
+const parsed = PlannerCore.parseJSONDetailed(fs.readFileSync(file, "utf8"));
+if(parsed.error) throw new Error(`line ${parsed.error.line}:${parsed.error.col} ${parsed.error.message}`);
+const obj = parsed.value;
+if(!obj || typeof obj !== "object" || Array.isArray(obj)) throw new Error("not a plan (expected a JSON object)");
+// Same checks as the page, on the raw lists before they are normalised:
+// refuse to solve a plan with errors, mention warnings.
+const room = PlannerCore.roomFromJSON(obj.room);
+const issues = [
+    ...PlannerCore.validatePupils(obj.pupils, room).map(x => ({...x, noun: "pupil"})),
+    ...PlannerCore.validateRules(obj.rules, { room, pupils: PlannerCore.normalisePupils(obj.pupils) }).map(x => ({...x, noun: "rule"})),
+];
+for(const x of issues){
+    if(x.level === "warning" && !opts.quiet) console.error(`${file}: warning: ${x.noun} ${x.index + 1}: ${x.message}`);
+}
+const errors = issues.filter(x => x.level === "error");
+if(errors.length){
+    throw new Error(errors.map(x => `${x.noun}${x.index != null ? " " + (x.index + 1) : "s"}: ${x.message}`).join("; "));
+}
+const { problem, assignment } = PlannerCore.planFromJSON(obj);
+const settings = PlannerCore.normaliseSolverSettings(opts.settings);
+if(!opts.quiet){
+    for(const x of PlannerCore.analyseFeasibility(problem).conflicts) console.error(`${file}: ${x.level === "error" ? "conflict" : "warning"}: ${x.message}`);
+}
+
+let out;
+if(opts.improve){
+    // Same pass as the page's "Quick Improve" button.
+    out = PlannerCore.quickImprove(problem, { iters: 4000, t0: 2.5, t1: 0.05, seed: settings.seed, start: assignment });
+} else {
+    out = PlannerCore.solve(problem, settings);
+}
+if(out.exact && !opts.quiet) console.error(`${file}: exact search: ${EXACT_STATUS[out.exact.status]} (${out.exact.nodes} nodes)`);
+if(!out.assignment) throw new Error("no plan meets every hard rule");
+const plan = PlannerCore.repairAssignment(problem, out.assignment || {}, settings.seed);
+return { json: PlannerCore.planToJSON(problem, plan), bestScore: out.bestScore, bestHard: out.bestHard };
+}
+
+function main(argv){
+let opts;
+try{ opts = parseArgs(argv); }
+catch(e){
+    console.error(String(e.message||e));
+    console.error(USAGE);
+    return 2;
+}
+if(opts.help){ console.log(USAGE); return 0; }
+if(opts.inputs.length === 0){ console.error(USAGE); return 2; }
+if(opts.out && opts.inputs.length > 1){
+    console.error("--out takes a single input; use --out-dir for several.");
+    return 2;
+}
+if(opts.outDir) fs.mkdirSync(opts.outDir, { recursive: true });
+
+let failed = 0;
+for(const file of opts.inputs){
+    try{
+    const res = solveFile(file, opts);
+    const txt = JSON.stringify(res.json, null, 2) + "\n";
+    if(opts.out) fs.writeFileSync(opts.out, txt);
+    else if(opts.outDir) fs.writeFileSync(path.join(opts.outDir, path.basename(file)), txt);
+    else process.stdout.write(txt);
+    if(!opts.quiet) console.error(`${file}: score=${res.bestScore} hard breaks=${res.bestHard}`);
+    }catch(e){
+    failed++;
+    console.error(`${file}: ${String(e.message||e)}`);
+    }
+}
+return failed ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,2872 @@
+
+// =====================================
+// Seating Planner — core (no DOM)
+// Room model, rules engine + solver. Loaded by the page, by solver-worker.js
+// and by the command line tool (cli.js) via require().
+// =====================================
+
+(function(root, factory){
+const api = factory();
+if(typeof module === "object" && module.exports) module.exports = api;
+else root.PlannerCore = api;
+})(typeof self !== "undefined" ? self : this, function(){
+"use strict";
+
+const MODEL_VERSION = 1;
+
+const clamp = (x, a, b) => Math.max(a, Math.min(b, x));
+const isRecord = (x) => !!x && typeof x === "object" && !Array.isArray(x);
+
+// --------- Distance metrics ---------
+const dist = {
+manhattan: (a,b) => Math.abs(a.r-b.r) + Math.abs(a.c-b.c),
+chebyshev: (a,b) => Math.max(Math.abs(a.r-b.r), Math.abs(a.c-b.c)),
+euclidean2: (a,b) => { const dr=a.r-b.r, dc=a.c-b.c; return dr*dr + dc*dc; },
+};
+// Plus "walking", which needs the room (see walkingDistance()).
+const METRICS = [...Object.keys(dist), "walking"];
+
+// --------- Room model ---------
+// A "problem" is plain data: { room, pupils, rules, history? }.
+// room: {rows, cols, cell, blocked:Set<"r,c">, teacher:Set<"r,c">, board:Set<"r,c">, seats:Map<"r,c", seatId>,
+//        tables:Map<seatId, tableName>, seatAttrs:Map<seatId, [attr]>, seatLabels:Map<seatId, label>}
+// Seat ids are handed out once (Srr_cc of the tile the seat was first put on) and
+// travel with the seat when it is moved, so positions always come from room.seats.
+function keyRC(r,c){ return `${r},${c}`; }
+
+function seatIdFor(r,c){ return `S${String(r).padStart(2,"0")}_${String(c).padStart(2,"0")}`; }
+
+function createRoom(rows=8, cols=10, cell=42){
+return { rows, cols, cell, blocked: new Set(), teacher: new Set(), board: new Set(), seats: new Map(), tables: new Map(), seatAttrs: new Map(), seatLabels: new Map() };
+}
+
+function isBlocked(room,r,c){ return room.blocked.has(keyRC(r,c)); }
+function isTeacher(room,r,c){ return room.teacher.has(keyRC(r,c)); }
+function isBoard(room,r,c){ return room.board.has(keyRC(r,c)); }
+function isSeat(room,r,c){ return room.seats.has(keyRC(r,c)); }
+
+function ensureSeat(room,r,c){
+const k = keyRC(r,c);
+if(isBlocked(room,r,c)) room.blocked.delete(k);
+room.board.delete(k);
+if(!room.seats.has(k)) room.seats.set(k, newSeatId(room, r, c));
+}
+// Srr_cc, or Srr_cc_b, _c... when a moved seat already carries that id.
+function newSeatId(room, r, c){
+const taken = new Set(room.seats.values());
+const base = seatIdFor(r,c);
+if(!taken.has(base)) return base;
+for(let i=1;;i++){
+    const sid = `${base}_${String.fromCharCode(97 + i%26)}${i >= 26 ? Math.floor(i/26) : ""}`;
+    if(!taken.has(sid)) return sid;
+}
+}
+// Removing a seat also takes it out of its table and drops its attributes and label.
+function dropSeat(room, k){
+const sid = room.seats.get(k);
+if(sid != null){ room.tables.delete(sid); room.seatAttrs.delete(sid); room.seatLabels?.delete(sid); }
+room.seats.delete(k);
+}
+// Moves the seat on tile `from` to the empty tile `to`, keeping its id (and so its
+// table, attributes, label and any rule or fixed pupil that names it).
+function moveSeat(room, from, to){
+const sid = room.seats.get(from);
+if(sid == null) throw new Error(`no seat at (${from})`);
+if(from === to) return sid;
+if(room.seats.has(to) || room.blocked.has(to) || room.teacher.has(to) || room.board.has(to)) throw new Error(`(${to}) is not empty`);
+room.seats.delete(from);
+room.seats.set(to, sid);
+return sid;
+}
+
+function ensureBlocked(room,r,c){
+const k = keyRC(r,c);
+dropSeat(room, k);
+room.teacher.delete(k);
+room.board.delete(k);
+room.blocked.add(k);
+}
+function ensureTeacher(room,r,c){
+const k = keyRC(r,c);
+if(isBlocked(room,r,c)) room.blocked.delete(k);
+room.board.delete(k);
+room.teacher.add(k);
+}
+// The board (or any focal point pupils look at) is a tile of its own.
+function ensureBoard(room,r,c){
+const k = keyRC(r,c);
+dropSeat(room, k);
+room.teacher.delete(k);
+room.blocked.delete(k);
+room.board.add(k);
+}
+function ensureEmpty(room,r,c){
+const k = keyRC(r,c);
+dropSeat(room, k);
+room.teacher.delete(k);
+room.blocked.delete(k);
+room.board.delete(k);
+}
+
+function resizeRoom(room, rows, cols){
+// Prune tiles that are out of bounds
+remapRoom(room, rows, cols, (r,c) => [r,c]);
+}
+
+// Moves every tile to to(r,c) -> [r,c] (or null to drop it) on a rows×cols grid;
+// tiles landing outside are dropped. Seats keep their ids, so tables, attributes,
+// labels and plans follow them.
+function remapRoom(room, rows, cols, to){
+const dest = (k) => {
+    const p = to(...k.split(",").map(Number));
+    return p && p[0]>=0 && p[0]<rows && p[1]>=0 && p[1]<cols ? keyRC(p[0], p[1]) : null;
+};
+const moveSet = (set) => new Set(Array.from(set, dest).filter(Boolean));
+room.blocked = moveSet(room.blocked);
+room.teacher = moveSet(room.teacher);
+room.board = moveSet(room.board);
+
+const newSeats = new Map();
+for(const [k,v] of room.seats.entries()){
+    const d = dest(k);
+    if(d) newSeats.set(d, v);
+}
+room.seats = newSeats;
+const kept = new Set(newSeats.values());
+room.tables = new Map(Array.from(room.tables).filter(([sid]) => kept.has(sid)));
+room.seatAttrs = new Map(Array.from(room.seatAttrs).filter(([sid]) => kept.has(sid)));
+room.seatLabels = new Map(Array.from(room.seatLabels || []).filter(([sid]) => kept.has(sid)));
+
+room.rows = rows;
+room.cols = cols;
+}
+
+// --------- Map editing ---------
+// Painting several tiles at once and whole-row/column edits. The structural edits
+// return the position map they applied, (r,c) -> [r,c] or null, so the caller can
+// move anything else that is kept by position (pupils fixed by row and column).
+const PAINT_KINDS = ["seat", "blocked", "teacher", "board", "empty"];
+const MAX_GRID = 40;
+
+function tileKind(room, r, c){
+const k = keyRC(r,c);
+if(room.seats.has(k)) return "seat";
+if(room.blocked.has(k)) return "blocked";
+if(room.teacher.has(k)) return "teacher";
+if(room.board.has(k)) return "board";
+return "empty";
+}
+
+function paintTile(room, kind, r, c){
+if(kind === "seat") ensureSeat(room, r, c);
+else if(kind === "blocked") ensureBlocked(room, r, c);
+else if(kind === "teacher") ensureTeacher(room, r, c);
+else if(kind === "board") ensureBoard(room, r, c);
+else if(kind === "empty") ensureEmpty(room, r, c);
+else throw new Error(`Unknown tile kind "${kind}" (use ${PAINT_KINDS.join(", ")})`);
+}
+
+// Corners in any order; clipped to the grid.
+function paintRect(room, kind, r0, c0, r1, c1){
+for(let r=Math.max(0, Math.min(r0,r1)); r<=Math.min(room.rows-1, Math.max(r0,r1)); r++){
+    for(let c=Math.max(0, Math.min(c0,c1)); c<=Math.min(room.cols-1, Math.max(c0,c1)); c++) paintTile(room, kind, r, c);
+}
+}
+
+function insertRow(room, at){
+if(room.rows >= MAX_GRID) throw new Error(`The grid is at most ${MAX_GRID} rows`);
+const to = (r,c) => [r >= at ? r+1 : r, c];
+remapRoom(room, room.rows+1, room.cols, to);
+return to;
+}
+function deleteRow(room, at){
+if(room.rows <= 1) throw new Error("The grid needs at least one row");
+const to = (r,c) => r === at ? null : [r > at ? r-1 : r, c];
+remapRoom(room, room.rows-1, room.cols, to);
+return to;
+}
+function insertCol(room, at){
+if(room.cols >= MAX_GRID) throw new Error(`The grid is at most ${MAX_GRID} columns`);
+const to = (r,c) => [r, c >= at ? c+1 : c];
+remapRoom(room, room.rows, room.cols+1, to);
+return to;
+}
+function deleteCol(room, at){
+if(room.cols <= 1) throw new Error("The grid needs at least one column");
+const to = (r,c) => c === at ? null : [r, c > at ? c-1 : c];
+remapRoom(room, room.rows, room.cols-1, to);
+return to;
+}
+
+// axis "h" mirrors left and right, "v" swaps front and back.
+function flipRoom(room, axis){
+const { rows, cols } = room;
+const to = axis === "v" ? (r,c) => [rows-1-r, c] : (r,c) => [r, cols-1-c];
+remapRoom(room, rows, cols, to);
+return to;
+}
+
+// A rectangle of tiles to paste elsewhere: {rows, cols, tiles:[{dr, dc, kind, table?, attrs?}]}.
+// Labels stay behind; they name one seat.
+function copyRegion(room, r0, c0, r1, c1){
+const top = Math.min(r0,r1), left = Math.min(c0,c1);
+const clip = { rows: Math.abs(r1-r0)+1, cols: Math.abs(c1-c0)+1, tiles: [] };
+for(let dr=0; dr<clip.rows; dr++){
+    for(let dc=0; dc<clip.cols; dc++){
+    const r = top+dr, c = left+dc;
+    const kind = tileKind(room, r, c);
+    const sid = room.seats.get(keyRC(r,c));
+    const tile = { dr, dc, kind };
+    if(sid != null && room.tables.has(sid)) tile.table = room.tables.get(sid);
+    if(sid != null && room.seatAttrs.has(sid)) tile.attrs = [...room.seatAttrs.get(sid)];
+    clip.tiles.push(tile);
+    }
+}
+return clip;
+}
+
+// Pastes with the top-left corner at (r,c), clipped to the grid. A seat pasted on
+// a seat keeps that seat (and whoever sits there). Copied tables come back as new
+// tables (T1 -> the next free T<n>) so the copy doesn't join the original.
+function pasteRegion(room, clip, r, c){
+const rename = new Map();
+const used = new Set(room.tables.values());
+const fresh = (name) => {
+    if(!rename.has(name)){
+    const m = /^(.*?)(\d+)$/.exec(name);
+    let i = m ? Number(m[2]) : 1, next = name;
+    while(used.has(next)) next = m ? `${m[1]}${++i}` : `${name} ${++i}`;
+    used.add(next);
+    rename.set(name, next);
+    }
+    return rename.get(name);
+};
+let n = 0;
+for(const t of clip.tiles){
+    const rr = r+t.dr, cc = c+t.dc;
+    if(rr<0 || rr>=room.rows || cc<0 || cc>=room.cols) continue;
+    paintTile(room, t.kind, rr, cc);
+    if(t.kind === "seat"){
+    const sid = room.seats.get(keyRC(rr,cc));
+    setSeatTable(room, sid, t.table ? fresh(t.table) : null);
+    if(t.attrs?.length) room.seatAttrs.set(sid, [...t.attrs]);
+    else room.seatAttrs.delete(sid);
+    }
+    n++;
+}
+return n;
+}
+
+// --------- Tables ---------
+// Seats can be grouped into named tables (benches, tables of four). Membership is
+// keyed by seat id; a seat is in at most one table.
+function setSeatTable(room, seatId, table){
+if(table) room.tables.set(seatId, String(table));
+else room.tables.delete(seatId);
+}
+
+function tableNames(room){
+return Array.from(new Set(room.tables.values())).sort((a,b)=>a.localeCompare(b, undefined, {numeric:true}));
+}
+
+// tableName -> [seatId]
+function tableSeats(room){
+const out = new Map();
+for(const [sid, t] of room.tables){
+    if(!out.has(t)) out.set(t, []);
+    out.get(t).push(sid);
+}
+return out;
+}
+
+// --------- Seat attributes ---------
+// Named properties of a seat ("window", "accessible", "power"...), for rules that
+// care what a seat is rather than which one it is. Keyed by seat id like tables.
+const SEAT_ATTRS = ["window", "door", "accessible", "board", "power"];
+
+function toggleSeatAttr(room, seatId, attr){
+const cur = room.seatAttrs.get(seatId) || [];
+const next = cur.includes(attr) ? cur.filter(a => a !== attr) : [...cur, attr];
+if(next.length) room.seatAttrs.set(seatId, next);
+else room.seatAttrs.delete(seatId);
+}
+
+function seatHasAttr(room, seatId, attr){
+return !!room.seatAttrs?.get(seatId)?.includes(attr);
+}
+
+// Attributes in use, the standard ones first.
+function seatAttrNames(room){
+const used = new Set(Array.from(room.seatAttrs?.values() || []).flat());
+return [...SEAT_ATTRS.filter(a => used.has(a)), ...Array.from(used).filter(a => !SEAT_ATTRS.includes(a)).sort()];
+}
+
+function allSeatIds(room){
+return Array.from(room.seats.values());
+}
+
+// Position encoded in a seat id. Only right for seats that never moved; use
+// seatPositions() for a room. Kept for history snapshots that predate positions.
+function seatPosById(seatId){
+// seatId format: Srr_cc
+const m = /^S(\d{2})_(\d{2})$/.exec(seatId);
+if(!m) return null;
+return {r: parseInt(m[1],10), c: parseInt(m[2],10)};
+}
+
+// seatId -> {r,c}
+function seatPositions(room){
+return new Map(Array.from(room.seats, ([k, sid]) => { const [r,c] = k.split(",").map(Number); return [sid, {r, c}]; }));
+}
+
+// --------- Seat labels ---------
+// What people call a seat ("12", "T3-B"), separate from its id and position.
+// Anywhere a seat is named (fixed.seat, MustBeInSeats, zones, roster imports)
+// either the id or the label works; ids win when the two collide.
+const SEAT_NUMBERING = ["rows", "serpentine", "tables"];
+
+function seatLabel(room, sid){
+return room?.seatLabels?.get(sid) ?? sid;
+}
+
+function setSeatLabel(room, sid, label){
+label = String(label ?? "").trim();
+if(label && label !== sid) room.seatLabels.set(sid, label);
+else room.seatLabels.delete(sid);
+}
+
+// Seat id for an id or a label, or null.
+function seatByRef(room, ref){
+if(ref == null || ref === "") return null;
+ref = String(ref);
+const sids = Array.from(room.seats.values());
+if(sids.includes(ref)) return ref;
+return sids.find(sid => room.seatLabels?.get(sid) === ref) ?? null;
+}
+
+// Seat id a pupil is fixed to (by id, label or r,c), null when not fixed, or
+// undefined when the fixed seat is not in the room.
+function fixedSeatOf(room, p){
+const f = p.fixed;
+if(f?.seat) return seatByRef(room, f.seat) ?? undefined;
+if(f && ("r" in f) && ("c" in f)) return room.seats.get(keyRC(f.r, f.c)) ?? undefined;
+return null;
+}
+
+// Labels every seat by a numbering scheme, replacing the current labels:
+//   rows: 1, 2, 3... front row first, left to right
+//   serpentine: as rows, but every other row runs right to left
+//   tables: <table>-A, <table>-B... per table; seats at no table go on as 1, 2...
+function numberSeats(room, scheme){
+if(!SEAT_NUMBERING.includes(scheme)) throw new Error(`Unknown numbering "${scheme}" (use ${SEAT_NUMBERING.join(", ")})`);
+const pos = seatPositions(room);
+const order = Array.from(pos.keys()).sort((a,b) => pos.get(a).r - pos.get(b).r || pos.get(a).c - pos.get(b).c);
+room.seatLabels = new Map();
+if(scheme === "tables"){
+    const byTable = tableSeats(room);
+    for(const name of tableNames(room)){
+    const sids = order.filter(sid => byTable.get(name).includes(sid));
+    sids.forEach((sid, i) => setSeatLabel(room, sid, `${name}-${sids.length <= 26 ? String.fromCharCode(65+i) : i+1}`));
+    }
+    order.filter(sid => !room.tables.has(sid)).forEach((sid, i) => setSeatLabel(room, sid, String(i+1)));
+    return;
+}
+if(scheme === "serpentine"){
+    const rows = Array.from(new Set(order.map(sid => pos.get(sid).r)));
+    order.sort((a,b) => {
+    const pa = pos.get(a), pb = pos.get(b);
+    if(pa.r !== pb.r) return pa.r - pb.r;
+    return rows.indexOf(pa.r) % 2 ? pb.c - pa.c : pa.c - pb.c;
+    });
+}
+order.forEach((sid, i) => setSeatLabel(room, sid, String(i+1)));
+}
+
+function teacherTilesOf(room){
+return Array.from(room.teacher).map(k=>{
+    const [r,c]=k.split(",").map(Number);
+    return {r,c};
+});
+}
+
+// --------- Visibility ---------
+// Sight lines run between tile centres; a blocked tile (pillar, cupboard) hides
+// whatever is behind it when the line crosses its square. Lines that only graze
+// a corner are clear. The board faces into the room from the wall it runs along.
+const VIEW_ANGLE_STEP = 5; // MaxViewingAngle: +1 per started 5° over the limit
+
+function boardTilesOf(room){
+return Array.from(room.board || []).map(k=>{
+    const [r,c]=k.split(",").map(Number);
+    return {r,c};
+});
+}
+
+function segmentHitsTile(a, b, t){
+const h = 0.5 - 1e-9;
+let lo = 0, hi = 1;
+for(const [p, d, m] of [[a.r, b.r-a.r, t.r], [a.c, b.c-a.c, t.c]]){
+    if(d === 0){ if(p < m-h || p > m+h) return false; continue; }
+    let u = (m-h-p)/d, v = (m+h-p)/d;
+    if(u > v) [u, v] = [v, u];
+    lo = Math.max(lo, u); hi = Math.min(hi, v);
+    if(lo > hi) return false;
+}
+return true;
+}
+
+// The blocked tile nearest `a` on the line from a to b, or null if it's clear.
+function sightBlocker(room, a, b){
+let best = null, bestD = Infinity;
+for(const k of room.blocked){
+    const [r,c] = k.split(",").map(Number);
+    if((r===a.r && c===a.c) || (r===b.r && c===b.c)) continue;
+    if(!segmentHitsTile(a, b, {r,c})) continue;
+    const d = dist.euclidean2(a, {r,c});
+    if(d < bestD){ best = {r,c}; bestD = d; }
+}
+return best;
+}
+
+// Per-room view of the board, memoised per seat position:
+// {tiles, centre, normal, from({r,c}) -> {hidden:[tile], angle, nearest}} or null without a board.
+function boardView(room){
+const tiles = boardTilesOf(room);
+if(tiles.length === 0) return null;
+const centre = { r: tiles.reduce((s,t)=>s+t.r, 0)/tiles.length, c: tiles.reduce((s,t)=>s+t.c, 0)/tiles.length };
+const spanR = Math.max(...tiles.map(t=>t.r)) - Math.min(...tiles.map(t=>t.r));
+const spanC = Math.max(...tiles.map(t=>t.c)) - Math.min(...tiles.map(t=>t.c));
+const toMid = { r: (room.rows-1)/2 - centre.r, c: (room.cols-1)/2 - centre.c };
+// A board along a row faces up/down the room, one along a column faces sideways.
+const alongRow = spanC !== spanR ? spanC > spanR : Math.abs(toMid.r) >= Math.abs(toMid.c);
+const normal = alongRow ? { r: Math.sign(toMid.r) || 1, c: 0 } : { r: 0, c: Math.sign(toMid.c) || 1 };
+const memo = new Map();
+function from(pos){
+    const k = keyRC(pos.r, pos.c);
+    if(memo.has(k)) return memo.get(k);
+    const hidden = tiles.filter(t => sightBlocker(room, pos, t));
+    const v = { r: pos.r - centre.r, c: pos.c - centre.c };
+    const len = Math.hypot(v.r, v.c);
+    const angle = len === 0 ? 0 : Math.acos(clamp((v.r*normal.r + v.c*normal.c)/len, -1, 1)) * 180/Math.PI;
+    let nearest = tiles[0];
+    for(const t of tiles) if(dist.euclidean2(pos, t) < dist.euclidean2(pos, nearest)) nearest = t;
+    const out = { hidden, angle, nearest };
+    memo.set(k, out);
+    return out;
+}
+return { tiles, centre, normal, from };
+}
+
+// Penalty units for a pupil at `pos` under a board rule (0 without a board).
+function boardPenalty(rule, view, pos){
+if(!view) return 0;
+const seen = view.from(pos);
+if(rule.type === "ClearViewOfBoard") return seen.hidden.length;
+const over = seen.angle - (Number(rule.max_deg) || 0);
+return over > 1e-9 ? Math.ceil(over / VIEW_ANGLE_STEP) : 0;
+}
+
+// --------- Plain-data normalisation ---------
+// Pupils and rules arrive as user-edited JSON; every consumer (page, worker, CLI)
+// goes through these so the same input gives the same problem everywhere.
+// Entries that aren't objects are dropped here; validatePupils() reports them.
+function normalisePupils(list){
+const pupils = Array.isArray(list) ? list.filter(isRecord) : [];
+return pupils.map(p => ({
+    id: String(p.id||p.pupil_id||""),
+    ...(p.name!=null && String(p.name).trim() ? { name: String(p.name) } : {}),
+    ...(p.label!=null && String(p.label).trim() ? { label: String(p.label) } : {}),
+    tags: Array.isArray(p.tags) ? p.tags.map(String) : [],
+    ...(p.attrs && typeof p.attrs === "object" ? { attrs: normaliseAttrs(p.attrs) } : {}),
+    fixed: p.fixed ?? null,
+})).filter(p => p.id.length>0);
+}
+
+// Attributes are typed: numbers (e.g. ability band) or strings (enumerations such
+// as gender or EAL stage). Anything else is dropped.
+function normaliseAttrs(attrs){
+const out = {};
+for(const [k,v] of Object.entries(attrs)){
+    if(typeof v === "number" && Number.isFinite(v)) out[k] = v;
+    else if(typeof v === "string" && v.trim()) out[k] = v.trim();
+}
+return out;
+}
+
+// Group selector shared by group rules (TagSeparation, ...):
+//   {tag}                 pupils carrying the tag
+//   {attr, value}         attribute equals value (enumerations)
+//   {attr, min?, max?}    numeric attribute within range; {attr} alone = has the attribute
+function pupilMatches(p, sel){
+if(sel.tag != null) return (p.tags||[]).includes(sel.tag);
+if(sel.attr != null){
+    const v = p.attrs?.[sel.attr];
+    if(v == null) return false;
+    if(sel.value != null) return String(v) === String(sel.value);
+    if(sel.min != null || sel.max != null){
+    const n = Number(v);
+    return Number.isFinite(n) && (sel.min==null || n >= Number(sel.min)) && (sel.max==null || n <= Number(sel.max));
+    }
+    return true;
+}
+return false;
+}
+
+function groupLabel(sel){
+if(sel.tag != null) return `#${sel.tag}`;
+if(sel.attr == null) return "";
+if(sel.value != null) return `${sel.attr}=${sel.value}`;
+if(sel.min != null && sel.max != null) return `${sel.min}≤${sel.attr}≤${sel.max}`;
+if(sel.min != null) return `${sel.attr}≥${sel.min}`;
+if(sel.max != null) return `${sel.attr}≤${sel.max}`;
+return sel.attr;
+}
+
+// Like normalisePupils(), non-object entries are left to validateRules().
+function normaliseRules(list){
+const rules = Array.isArray(list) ? list.filter(isRecord).map(upgradeRule) : [];
+return rules.map(r => ({
+    type: String(r.type||""),
+    name: r.name ?? r.type,
+    hard: !!r.hard,
+    weight: (r.weight==null ? 1 : (r.weight|0)),
+    ...r,
+})).filter(r => r.type.length>0);
+}
+
+// TableTagMax keeps its cap in per_table; `max` belongs to the group selector
+// (attribute range). A TableTagMax with `max` and no per_table means the cap.
+function upgradeRule(r){
+if(!r || r.type !== "TableTagMax" || r.per_table != null || r.max == null) return r;
+const { max, ...rest } = r;
+return { ...rest, per_table: max };
+}
+
+// Solver settings with the same defaults and bounds as the page inputs.
+function normaliseSolverSettings(raw = {}){
+return {
+    restarts: clamp(Number(raw.restarts||25), 1, 80),
+    itersPerRestart: clamp(Number(raw.itersPerRestart||25000), 100, 300000),
+    t0: Math.max(0.05, Number(raw.t0||6.0)),
+    t1: Math.max(0.001, Number(raw.t1||0.05)),
+    seed: Number(raw.seed||12345),
+    mode: SOLVER_MODES.includes(raw.mode) ? raw.mode : "anneal",
+    keep: clamp(Math.floor(Number(raw.keep||1)), 1, 12),
+    minDiff: clamp(Math.floor(Number(raw.minDiff||4)), 1, 1000),
+};
+}
+
+// --------- Walking distance ---------
+// The "walking" metric: steps from tile to tile going round blocked tiles and the
+// board (seats, teacher and empty tiles can be walked through). Moves are up, down,
+// left and right, so it is never shorter than manhattan; tiles walled off from
+// each other are rows×cols steps apart. It describes the current room only, so
+// rules about past plans don't take it.
+const WALK_RULE_TYPES = new Set(["MinDistance", "MaxDistance", "PreferAwayFromTeacher", "TagSeparation"]);
+const walkCache = new WeakMap(); // room -> {sig, between}
+
+// (a, b) -> steps, breadth-first from each start tile once and memoised per room
+// until its walls change.
+function walkingDistance(room){
+const sig = [room.rows, room.cols, ...room.blocked, "|", ...room.board].join(";");
+const hit = walkCache.get(room);
+if(hit?.sig === sig) return hit.between;
+const { rows, cols } = room;
+const far = rows*cols;
+const open = new Uint8Array(rows*cols).fill(1);
+for(const k of [...room.blocked, ...room.board]){
+    const [r,c] = k.split(",").map(Number);
+    if(r>=0 && r<rows && c>=0 && c<cols) open[r*cols + c] = 0;
+}
+const memo = new Map(); // start tile -> Uint16Array of steps to every tile
+function from(start){
+    if(memo.has(start)) return memo.get(start);
+    const d = new Uint16Array(rows*cols).fill(far);
+    d[start] = 0;
+    const queue = [start];
+    for(let qi=0; qi<queue.length; qi++){
+    const t = queue[qi], r = Math.floor(t/cols), c = t % cols;
+    const next = [r>0 ? t-cols : -1, r<rows-1 ? t+cols : -1, c>0 ? t-1 : -1, c<cols-1 ? t+1 : -1];
+    for(const n of next){
+        if(n < 0 || !open[n] || d[n] !== far) continue;
+        d[n] = d[t] + 1;
+        queue.push(n);
+    }
+    }
+    memo.set(start, d);
+    return d;
+}
+const between = (a, b) => from(a.r*cols + a.c)[b.r*cols + b.c];
+walkCache.set(room, { sig, between });
+return between;
+}
+
+// --------- Export format ---------
+// {version, room:{rows, cols, cell, blocked:[k], teacher:[k], board:[k], seats:[[k, seatId]], tables:[[seatId, name]],
+//  seatAttrs:[[seatId, [attr]]], seatLabels:[[seatId, label]]}, pupils, rules, assignment, history:[snapshot]}
+function roomToJSON(room){
+return {
+    rows: room.rows,
+    cols: room.cols,
+    cell: room.cell,
+    blocked: Array.from(room.blocked),
+    teacher: Array.from(room.teacher),
+    board: Array.from(room.board),
+    seats: Array.from(room.seats.entries()),
+    tables: Array.from(room.tables.entries()),
+    seatAttrs: Array.from(room.seatAttrs.entries()),
+    seatLabels: Array.from(room.seatLabels.entries()),
+};
+}
+
+function roomFromJSON(obj){
+const room = obj || {};
+const out = createRoom(
+    clamp(room.rows|0 || 8, 1, 40),
+    clamp(room.cols|0 || 10, 1, 40),
+    clamp(room.cell|0 || 42, 28, 64),
+);
+out.blocked = new Set(Array.isArray(room.blocked) ? room.blocked : []);
+out.teacher = new Set(Array.isArray(room.teacher) ? room.teacher : []);
+out.board = new Set(Array.isArray(room.board) ? room.board : []);
+if(Array.isArray(room.seats)){
+    for(const [k,v] of room.seats){
+    out.seats.set(String(k), String(v));
+    }
+}
+if(Array.isArray(room.tables)){
+    const ids = new Set(out.seats.values());
+    for(const [sid,t] of room.tables){
+    if(ids.has(String(sid)) && t) out.tables.set(String(sid), String(t));
+    }
+}
+if(Array.isArray(room.seatAttrs)){
+    const ids = new Set(out.seats.values());
+    for(const [sid, attrs] of room.seatAttrs){
+    const names = Array.isArray(attrs) ? Array.from(new Set(attrs.map(String).filter(Boolean))) : [];
+    if(ids.has(String(sid)) && names.length) out.seatAttrs.set(String(sid), names);
+    }
+}
+if(Array.isArray(room.seatLabels)){
+    const ids = new Set(out.seats.values());
+    for(const [sid, label] of room.seatLabels){
+    if(ids.has(String(sid)) && label != null) setSeatLabel(out, String(sid), label);
+    }
+}
+return out;
+}
+
+function planToJSON(problem, assignment){
+return {
+    version: MODEL_VERSION,
+    room: roomToJSON(problem.room),
+    pupils: problem.pupils,
+    rules: problem.rules,
+    assignment,
+    history: problem.history || [],
+};
+}
+
+// Parsed export JSON -> { problem, assignment } (assignment as stored, unrepaired).
+function planFromJSON(obj){
+if(!obj || typeof obj !== "object") throw new Error("Invalid JSON");
+return {
+    problem: {
+    room: roomFromJSON(obj.room),
+    pupils: normalisePupils(obj.pupils),
+    rules: normaliseRules(obj.rules),
+    history: normaliseHistory(obj.history),
+    },
+    assignment: obj.assignment && typeof obj.assignment === "object" ? obj.assignment : {},
+};
+}
+
+// --------- Rotation history ---------
+// Past plans for the class, newest first:
+//   {date:"YYYY-MM-DD", label, assignment:{pid: seatId}, positions:{pid: [r,c]}}
+// Positions are frozen at snapshot time so later map edits don't rewrite who sat
+// next to whom.
+function makeSnapshot(room, assignment, date, label){
+const pos = new Map(Array.from(room.seats, ([k,sid]) => [sid, k.split(",").map(Number)]));
+const positions = {};
+for(const [pid,sid] of Object.entries(assignment||{})){
+    if(pos.has(sid)) positions[pid] = pos.get(sid);
+}
+return { date: String(date), label: String(label||""), assignment: {...assignment}, positions };
+}
+
+function normaliseHistory(list){
+if(!Array.isArray(list)) return [];
+return list
+    .filter(h => h && typeof h === "object" && h.assignment && typeof h.assignment === "object")
+    .map(h => {
+    const positions = {};
+    for(const [pid,sid] of Object.entries(h.assignment)){
+        const rc = Array.isArray(h.positions?.[pid]) ? h.positions[pid] : (seatPosById(sid) && [seatPosById(sid).r, seatPosById(sid).c]);
+        if(rc) positions[pid] = [rc[0]|0, rc[1]|0];
+    }
+    return { date: String(h.date||""), label: String(h.label||""), assignment: {...h.assignment}, positions };
+    })
+    .sort((x,y) => y.date.localeCompare(x.date));
+}
+
+// The last K snapshots as rule data: neighbour pairs (within radius under metric,
+// in that plan's geometry) and the seats each pupil has had.
+function pastSeating(history, rule){
+const k = Math.max(1, rule.k==null ? 3 : rule.k|0);
+const metric = rule.metric || "chebyshev";
+const radius = rule.radius==null ? 1 : Number(rule.radius);
+if(!dist[metric]) throw new Error(`Unknown metric: ${metric}`);
+const pairs = new Map(); // "a\u0000b" -> [a,b]
+const seats = new Map(); // pid -> Set<seatId>
+for(const snap of (history||[]).slice(0, k)){
+    const ids = Object.keys(snap.positions);
+    for(let i=0;i<ids.length;i++){
+    const [ra,ca] = snap.positions[ids[i]];
+    for(let j=i+1;j<ids.length;j++){
+        const [rb,cb] = snap.positions[ids[j]];
+        if(dist[metric]({r:ra,c:ca}, {r:rb,c:cb}) > radius) continue;
+        const [a,b] = ids[i] < ids[j] ? [ids[i], ids[j]] : [ids[j], ids[i]];
+        pairs.set(a + "\u0000" + b, [a,b]);
+    }
+    }
+    for(const [pid,sid] of Object.entries(snap.assignment)){
+    if(!seats.has(pid)) seats.set(pid, new Set());
+    seats.get(pid).add(sid);
+    }
+}
+return { pairs: Array.from(pairs.values()), seats, metric, radius };
+}
+
+// --------- CSV / TSV ---------
+// Rosters come from spreadsheets: RFC 4180 quoting, any of , \t ; as delimiter.
+function detectDelimiter(text){
+const first = String(text).replace(/^\uFEFF/,"").split(/\r?\n/).find(l=>l.trim()) || "";
+let best = ",", bestN = 0;
+for(const d of ["\t", ";", ","]){
+    const n = first.split(d).length - 1;
+    if(n > bestN){ best = d; bestN = n; }
+}
+return best;
+}
+
+function parseDelimited(text, delimiter){
+text = String(text).replace(/^\uFEFF/,"");
+const d = delimiter || detectDelimiter(text);
+const rows = [];
+let row = [], field = "", quoted = false;
+for(let i=0;i<text.length;i++){
+    const ch = text[i];
+    if(quoted){
+    if(ch === '"'){
+        if(text[i+1] === '"'){ field += '"'; i++; }
+        else quoted = false;
+    } else field += ch;
+    } else if(ch === '"' && field === ""){
+    quoted = true;
+    } else if(ch === d){
+    row.push(field); field = "";
+    } else if(ch === "\n" || ch === "\r"){
+    if(ch === "\r" && text[i+1] === "\n") i++;
+    row.push(field); field = "";
+    rows.push(row); row = [];
+    } else {
+    field += ch;
+    }
+}
+if(field !== "" || row.length) { row.push(field); rows.push(row); }
+// drop blank lines
+return rows.filter(r => r.some(f => f.trim() !== ""));
+}
+
+function toDelimited(rows, delimiter=","){
+const esc = (v) => {
+    const t = v==null ? "" : String(v);
+    return /["\r\n]/.test(t) || t.includes(delimiter) ? `"${t.replace(/"/g,'""')}"` : t;
+};
+return rows.map(r => r.map(esc).join(delimiter)).join("\r\n") + "\r\n";
+}
+
+// Roster columns -> column index (-1 = not mapped).
+const ROSTER_FIELDS = ["id", "name", "label", "tags", "row", "col", "seat"];
+const ROSTER_HEADER_HINTS = {
+id: /^(id|pupil(_?id)?|student(_?id)?|upn|candidate)$/,
+name: /^(name|display(_?name)?|full(_?name)?|pupil_?name|student_?name)$/,
+label: /^(label|short(_?name)?|initials|chip)$/,
+tags: /^(tags?|groups?|flags?)$/,
+row: /^(r|row|fixed_?row)$/,
+col: /^(c|col|column|fixed_?col(umn)?)$/,
+seat: /^(seat|seat_?id|fixed_?seat)$/,
+};
+
+function guessRosterColumns(header){
+const mapping = Object.fromEntries(ROSTER_FIELDS.map(f=>[f,-1]));
+(header||[]).forEach((h, i) => {
+    const key = String(h).trim().toLowerCase().replace(/\s+/g,"_");
+    for(const f of ROSTER_FIELDS){
+    if(mapping[f] < 0 && ROSTER_HEADER_HINTS[f].test(key)){ mapping[f] = i; break; }
+    }
+});
+// headerless paste: assume "id, name, tags"
+if(mapping.id < 0) mapping.id = 0;
+return mapping;
+}
+
+// Rows (header already removed) -> pupils plus a per-row report for the preview.
+// report: [{line, status:"ok"|"warn"|"error", messages:[], pupil}]; error rows are not imported.
+// With a header, columns not mapped to a field become attributes (numbers where numeric).
+function rosterFromRows(rows, { mapping, header=null, tagSeparator=";", room=null, existingIds=[], firstLine=1 }){
+const cell = (row, f) => mapping[f] >= 0 ? String(row[mapping[f]] ?? "").trim() : "";
+const mapped = new Set(Object.values(mapping));
+const attrCols = (header||[]).map((h,i)=>[String(h).trim(), i]).filter(([h,i]) => h && !mapped.has(i));
+const seen = new Set();
+const existing = new Set(existingIds);
+const pupils = [];
+const report = rows.map((row, i) => {
+    const line = firstLine + i;
+    const messages = [];
+    let status = "ok";
+    const warn = (m) => { messages.push(m); if(status === "ok") status = "warn"; };
+    const fail = (m) => { messages.push(m); status = "error"; };
+
+    const id = cell(row, "id");
+    if(!id) fail("missing id");
+    else if(seen.has(id)) fail(`duplicate id ${id} in this file`);
+    else if(existing.has(id)) warn(`replaces existing pupil ${id}`);
+
+    const name = cell(row, "name");
+    const tagText = cell(row, "tags");
+    const tags = tagText ? Array.from(new Set(tagText.split(tagSeparator||";").map(t=>t.trim()).filter(Boolean))) : [];
+
+    let fixed = null;
+    const seat = cell(row, "seat"), rText = cell(row, "row"), cText = cell(row, "col");
+    if(seat){
+    if(room && !seatByRef(room, seat)) warn(`seat ${seat} is not in the map (not fixed)`);
+    else fixed = { seat };
+    } else if(rText || cText){
+    const r = Number(rText), c = Number(cText);
+    if(!rText || !cText || !Number.isInteger(r) || !Number.isInteger(c)) warn(`fixed row/col "${rText}","${cText}" must both be whole numbers (not fixed)`);
+    else if(room && !isSeat(room, r, c)) warn(`(${r},${c}) is not a seat (not fixed)`);
+    else fixed = { r, c };
+    }
+
+    const label = cell(row, "label");
+    const attrs = {};
+    for(const [h,i] of attrCols){
+    const v = String(row[i] ?? "").trim();
+    if(v) attrs[h] = /^-?\d+(\.\d+)?$/.test(v) ? Number(v) : v;
+    }
+
+    const pupil = {
+    id,
+    ...(name ? { name } : {}),
+    ...(label ? { label } : {}),
+    tags,
+    ...(Object.keys(attrs).length ? { attrs } : {}),
+    fixed,
+    };
+    if(status !== "error"){ seen.add(id); pupils.push(pupil); }
+    return { line, status, messages, pupil };
+});
+return { pupils, report };
+}
+
+// Plan -> CSV for other systems: pupil, seat, label, row, col (front row is 0).
+function planToCSV(problem, assignment, delimiter=","){
+const rows = [["pupil", "seat", "label", "row", "col"]];
+const pos = problem.room ? seatPositions(problem.room) : new Map();
+for(const p of problem.pupils){
+    const sid = assignment?.[p.id] || "";
+    const rc = sid ? (pos.get(sid) || seatPosById(sid)) : null;
+    rows.push([p.id, sid, sid && seatLabel(problem.room, sid), rc ? rc.r : "", rc ? rc.c : ""]);
+}
+return toDelimited(rows, delimiter);
+}
+
+// --------- Exam layout ---------
+// Picks spaced-out seats for a test and deals paper versions over them.
+//   pattern "every-other":  alternate seats along each row
+//           "checkerboard": seats whose row+col parity is the more common one
+//           "distance":     front-left first, every seat at least min_d (metric) from those taken
+// opts.keep lists seats that must be used (fixed pupils); pattern seats right
+// next to them are left out. Seats are numbered front to back, left to right (candidate order). Versions
+// (A, B, C...) go to seats so that neighbours differ: seats within `near` of each
+// other (straight-line tiles; default the closest spacing in the layout, plus a little).
+// Returns {seats:[{sid, r, c, number, version}], clashes:[[sid, sid]]}, clashes
+// being neighbours left on the same version when there are too few versions.
+const EXAM_PATTERNS = ["every-other", "checkerboard", "distance"];
+const EXAM_MAX_VERSIONS = 26; // A to Z
+
+function examLayout(room, opts = {}){
+const pattern = EXAM_PATTERNS.includes(opts.pattern) ? opts.pattern : "checkerboard";
+const nVersions = clamp(opts.versions|0 || 2, 1, EXAM_MAX_VERSIONS);
+const all = Array.from(room.seats, ([k, sid]) => { const [r,c] = k.split(",").map(Number); return { sid, r, c }; })
+    .sort((a,b) => a.r-b.r || a.c-b.c);
+
+const keep = new Set(opts.keep || []);
+const forced = all.filter(s => keep.has(s.sid));
+let picked;
+if(pattern === "every-other"){
+    const seen = new Map();
+    picked = all.filter(s => { const i = seen.get(s.r) || 0; seen.set(s.r, i+1); return i % 2 === 0; });
+} else if(pattern === "distance"){
+    const minD = Math.max(1, opts.min_d|0 || 2);
+    const d = dist[opts.metric] || dist.chebyshev;
+    picked = forced.slice();
+    for(const s of all) if(picked.every(t => d(s, t) >= minD)) picked.push(s);
+} else {
+    const even = all.filter(s => (s.r+s.c) % 2 === 0), odd = all.filter(s => (s.r+s.c) % 2 === 1);
+    picked = odd.length > even.length ? odd : even;
+}
+if(pattern !== "distance" && forced.length){
+    const extra = forced.filter(s => !picked.includes(s));
+    picked = picked.filter(s => !extra.some(t => dist.chebyshev(s, t) <= 1)).concat(extra);
+}
+picked.sort((a,b) => a.r-b.r || a.c-b.c);
+
+// Neighbours, then versions by DSatur: most-constrained seat first, lowest free version.
+const gap = Math.sqrt(picked.reduce((m, s, i) => {
+    for(let j=i+1;j<picked.length;j++) m = Math.min(m, dist.euclidean2(s, picked[j]));
+    return m;
+}, Infinity));
+const near = Number(opts.near) > 0 ? Number(opts.near) : 1.25*gap;
+const nbrs = picked.map(s => picked.map((t, j) => j).filter(j => picked[j] !== s && dist.euclidean2(s, picked[j]) <= near*near + 1e-9));
+const version = new Array(picked.length).fill(-1);
+for(let step=0; step<picked.length; step++){
+    let best = -1, bestSat = -1, bestDeg = -1;
+    picked.forEach((s, i) => {
+    if(version[i] >= 0) return;
+    const sat = new Set(nbrs[i].map(j => version[j]).filter(v => v >= 0)).size;
+    if(sat > bestSat || (sat === bestSat && nbrs[i].length > bestDeg)){ best = i; bestSat = sat; bestDeg = nbrs[i].length; }
+    });
+    const used = new Array(nVersions).fill(0);
+    for(const j of nbrs[best]) if(version[j] >= 0) used[version[j]]++;
+    // no free version: take the one fewest neighbours already have
+    version[best] = used.indexOf(Math.min(...used));
+}
+const clashes = [];
+picked.forEach((s, i) => { for(const j of nbrs[i]) if(j > i && version[i] === version[j]) clashes.push([s.sid, picked[j].sid]); });
+
+return {
+    seats: picked.map((s, i) => ({ ...s, number: i+1, version: String.fromCharCode(65 + version[i]) })),
+    clashes,
+};
+}
+
+// A copy of the room with only the exam seats, for the solver and the checks.
+function examRoom(room, layout){
+const keep = new Set(layout.seats.map(s => s.sid));
+const out = roomFromJSON(roomToJSON(room));
+for(const [k, sid] of Array.from(out.seats)) if(!keep.has(sid)) dropSeat(out, k);
+return out;
+}
+
+// The exam seating list: candidate number, paper version, seat and pupil, in seat order.
+function examListCSV(problem, assignment, layout, delimiter=","){
+const bySeat = new Map(Object.entries(assignment||{}).map(([pid, sid]) => [sid, pid]));
+const byId = new Map(problem.pupils.map(p => [p.id, p]));
+const rows = [["candidate", "version", "seat", "label", "row", "col", "pupil", "name"]];
+for(const s of layout.seats){
+    const pid = bySeat.get(s.sid);
+    rows.push([s.number, s.version, s.sid, seatLabel(problem.room, s.sid), s.r, s.c, pid || "", byId.get(pid)?.name || ""]);
+}
+return toDelimited(rows, delimiter);
+}
+
+// --------- Layout templates ---------
+// Rooms generated from a few numbers instead of painted tile by tile. Every
+// template has the same front of room (board across row 0, teacher's desk on
+// row 1, a free row) and returns an ordinary room to edit further.
+// params: name -> [default, min, max, choices?] (choices: the only values allowed,
+// others snap to the nearest); build(o) -> {cols, rows, seats:[{r, c, table?}], attrs?}
+// with seat rows counted from the first row behind the free one.
+const LAYOUT_FRONT = 3;
+
+// Splits n seats into k near-equal runs, the larger runs first.
+function splitRuns(n, k){
+return Array.from({ length: k }, (_, i) => Math.floor(n/k) + (i < n%k ? 1 : 0)).filter(x => x > 0);
+}
+
+const LAYOUT_TEMPLATES = {
+rows: {
+    label: "Rows",
+    params: { rows: [5, 1, 30], per_row: [8, 1, 36], aisles: [1, 0, 6] },
+    build(o){
+    const runs = splitRuns(o.per_row, o.aisles + 1);
+    const seats = [];
+    for(let r=0;r<o.rows;r++){
+        let c = 0;
+        for(const n of runs){
+        for(let i=0;i<n;i++) seats.push({ r, c: c++ });
+        c++; // aisle
+        }
+    }
+    return { cols: o.per_row + runs.length - 1, rows: o.rows, seats };
+    },
+},
+benches: {
+    label: "Paired benches",
+    params: { rows: [5, 1, 30], benches: [4, 1, 12] },
+    build(o){
+    const seats = [];
+    for(let r=0;r<o.rows;r++){
+        for(let b=0;b<o.benches;b++){
+        const table = `B${r*o.benches + b + 1}`;
+        seats.push({ r, c: 3*b, table }, { r, c: 3*b + 1, table });
+        }
+    }
+    return { cols: 3*o.benches - 1, rows: o.rows, seats };
+    },
+},
+horseshoe: {
+    label: "U-shape",
+    params: { depth: [5, 2, 30], width: [8, 3, 36] },
+    build(o){
+    // open end towards the teacher
+    const seats = [];
+    for(let r=0;r<o.depth;r++){
+        if(r < o.depth-1) seats.push({ r, c: 0 }, { r, c: o.width-1 });
+        else for(let c=0;c<o.width;c++) seats.push({ r, c });
+    }
+    return { cols: o.width, rows: o.depth, seats };
+    },
+},
+clusters: {
+    label: "Clusters",
+    params: { clusters: [6, 1, 30], size: [4, 4, 6, [4, 6]], per_row: [3, 1, 8] },
+    build(o){
+    // 2×2 or 2×3 tables with a walkway all round
+    const w = o.size / 2;
+    const lines = Math.ceil(o.clusters / o.per_row);
+    const seats = [];
+    for(let t=0;t<o.clusters;t++){
+        const r0 = 3*Math.floor(t / o.per_row), c0 = (w+1)*(t % o.per_row);
+        for(let dr=0;dr<2;dr++) for(let dc=0;dc<w;dc++) seats.push({ r: r0+dr, c: c0+dc, table: `T${t+1}` });
+    }
+    return { cols: (w+1)*Math.min(o.per_row, o.clusters) - 1, rows: 3*lines - 1, seats };
+    },
+},
+lab: {
+    label: "Computer lab",
+    params: { depth: [6, 2, 30], width: [10, 3, 36], island: [0, 0, 28] },
+    build(o){
+    // computers along the side and back walls, an optional double bench down the middle
+    const seats = [];
+    for(let r=0;r<o.depth;r++){
+        if(r < o.depth-1) seats.push({ r, c: 0 }, { r, c: o.width-1 });
+        else for(let c=0;c<o.width;c++) seats.push({ r, c });
+    }
+    if(o.width >= 7){
+        const c0 = Math.floor(o.width/2) - 1;
+        for(let r=0;r<Math.min(o.island, o.depth-2);r++) seats.push({ r, c: c0 }, { r, c: c0+1 });
+    }
+    return { cols: o.width, rows: o.depth, seats, attrs: ["power"] };
+    },
+},
+exam: {
+    label: "Exam hall",
+    params: { rows: [6, 1, 20], cols: [6, 1, 20], spacing: [1, 0, 3] },
+    build(o){
+    const step = o.spacing + 1;
+    const seats = [];
+    for(let r=0;r<o.rows;r++) for(let c=0;c<o.cols;c++) seats.push({ r: r*step, c: c*step });
+    return { cols: (o.cols-1)*step + 1, rows: (o.rows-1)*step + 1, seats };
+    },
+},
+};
+
+// Parameters with defaults filled in and clamped to the template's ranges.
+function layoutParams(name, opts = {}){
+const t = LAYOUT_TEMPLATES[name];
+if(!t) throw new Error(`Unknown layout template "${name}" (use ${Object.keys(LAYOUT_TEMPLATES).join(", ")})`);
+const o = {};
+for(const [k, [def, lo, hi, choices]] of Object.entries(t.params)){
+    const v = Math.round(Number(opts[k]));
+    o[k] = Number.isFinite(v) && opts[k] !== "" && opts[k] != null ? clamp(v, lo, hi) : def;
+    if(choices) o[k] = choices.reduce((best, x) => Math.abs(x - o[k]) < Math.abs(best - o[k]) ? x : best);
+}
+return o;
+}
+
+function layoutTemplate(name, opts = {}, cell = 42){
+const plan = LAYOUT_TEMPLATES[name].build(layoutParams(name, opts));
+const cols = Math.max(plan.cols, 4), rows = LAYOUT_FRONT + plan.rows + 1;
+if(cols > MAX_GRID || rows > MAX_GRID) throw new Error(`That layout needs ${rows}×${cols} tiles; the grid is at most ${MAX_GRID}×${MAX_GRID}`);
+const room = createRoom(rows, cols, cell);
+// board about a third of the width, teacher's desk (one tile or two) centred under it
+let bw = Math.max(2, Math.round(cols/3));
+if((cols - bw) % 2) bw++;
+for(let c=(cols-bw)/2; c<(cols+bw)/2; c++) ensureBoard(room, 0, c);
+for(let c=Math.floor((cols-1)/2); c<=Math.floor(cols/2); c++) ensureTeacher(room, 1, c);
+const dx = Math.floor((cols - plan.cols)/2);
+for(const s of plan.seats){
+    const r = LAYOUT_FRONT + s.r, c = dx + s.c;
+    ensureSeat(room, r, c);
+    const sid = room.seats.get(keyRC(r,c));
+    if(s.table) setSeatTable(room, sid, s.table);
+    for(const a of plan.attrs || []) toggleSeatAttr(room, sid, a);
+}
+return room;
+}
+
+// --------- Printable chart ---------
+// A self-contained SVG of the plan for printing or download. Black and white so
+// it survives photocopying; tables are dashed outlines.
+//   orientation "pupils": front of room at the top (as on screen)
+//   orientation "teacher": front at the bottom, as seen from the board
+const CHART = { cell: 64, gap: 12, margin: 28, head: 64, front: 26, legend: 40 };
+
+function escapeXML(s){
+return String(s).replace(/[&<>"']/g, ch => ({ "&":"&amp;", "<":"&lt;", ">":"&gt;", '"':"&quot;", "'":"&apos;" })[ch]);
+}
+
+// Up to two lines of at most `max` characters, split on a space when possible.
+function wrapLabel(text, max){
+text = String(text);
+if(text.length <= max) return [text];
+const cut = text.lastIndexOf(" ", max);
+const first = cut > 0 ? text.slice(0, cut) : text.slice(0, max);
+let rest = text.slice(first.length).trim();
+if(rest.length > max) rest = rest.slice(0, max-1) + "…";
+return [first, rest];
+}
+
+function planToSVG(problem, assignment, opts = {}){
+const { room, pupils } = problem;
+const teacherView = opts.orientation === "teacher";
+const labelOf = opts.labelOf || (p => p.name || p.id);
+const { cell, gap, margin, head, front, legend } = CHART;
+const step = cell + gap;
+const gridW = room.cols*step - gap, gridH = room.rows*step - gap;
+const width = Math.max(gridW, 420) + 2*margin;
+const height = margin + head + front + gridH + legend + margin;
+const gx = margin + (width - 2*margin - gridW)/2;
+const gy = margin + head + (teacherView ? 0 : front);
+
+// Screen position of tile (r,c) in the chosen orientation.
+const at = (r,c) => {
+    const rr = teacherView ? room.rows-1-r : r, cc = teacherView ? room.cols-1-c : c;
+    return { x: gx + cc*step, y: gy + rr*step };
+};
+const posBySeat = new Map(Array.from(room.seats, ([k,sid]) => [sid, k.split(",").map(Number)]));
+const pupilBySeat = new Map();
+const byId = new Map(pupils.map(p => [p.id, p]));
+for(const [pid, sid] of Object.entries(assignment||{})){
+    if(byId.has(pid)) pupilBySeat.set(sid, byId.get(pid));
+}
+
+const out = [];
+out.push(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" font-family="Helvetica, Arial, sans-serif">`);
+out.push(`<defs><pattern id="hatch" width="8" height="8" patternUnits="userSpaceOnUse" patternTransform="rotate(45)"><line x1="0" y1="0" x2="0" y2="8" stroke="#555" stroke-width="2"/></pattern></defs>`);
+out.push(`<rect x="0" y="0" width="${width}" height="${height}" fill="#fff"/>`);
+
+// Title block
+out.push(`<text x="${margin}" y="${margin+22}" font-size="22" font-weight="700">${escapeXML(opts.title || "Seating plan")}</text>`);
+const sub = [opts.date, teacherView ? "Teacher's view" : "Pupils' view", opts.subtitle].filter(Boolean).join(" · ");
+out.push(`<text x="${margin}" y="${margin+46}" font-size="13" fill="#333">${escapeXML(sub)}</text>`);
+
+// Front-of-room bar
+const fy = teacherView ? gy + gridH + 8 : gy - front;
+out.push(`<rect x="${gx}" y="${fy}" width="${gridW}" height="${front-8}" rx="4" fill="#eee" stroke="#333"/>`);
+out.push(`<text x="${gx + gridW/2}" y="${fy + front/2 + 1}" font-size="11" text-anchor="middle" letter-spacing="2">FRONT OF ROOM</text>`);
+
+// Tiles
+for(const k of room.blocked){
+    const [r,c] = k.split(",").map(Number), {x,y} = at(r,c);
+    out.push(`<rect x="${x}" y="${y}" width="${cell}" height="${cell}" fill="url(#hatch)" stroke="#555"/>`);
+}
+for(const k of room.teacher){
+    const [r,c] = k.split(",").map(Number), {x,y} = at(r,c);
+    out.push(`<rect x="${x}" y="${y}" width="${cell}" height="${cell}" rx="6" fill="#d4d4d4" stroke="#333"/>`);
+    out.push(`<text x="${x+cell/2}" y="${y+cell/2+4}" font-size="11" text-anchor="middle">Teacher</text>`);
+}
+for(const k of room.board || []){
+    const [r,c] = k.split(",").map(Number), {x,y} = at(r,c);
+    out.push(`<rect x="${x}" y="${y}" width="${cell}" height="${cell}" rx="6" fill="#333" stroke="#111"/>`);
+    out.push(`<text x="${x+cell/2}" y="${y+cell/2+4}" font-size="11" text-anchor="middle" fill="#fff">Board</text>`);
+}
+for(const [k, sid] of room.seats){
+    const [r,c] = k.split(",").map(Number), {x,y} = at(r,c);
+    out.push(`<rect x="${x}" y="${y}" width="${cell}" height="${cell}" rx="6" fill="#fff" stroke="#111" stroke-width="1.5"/>`);
+    // Seat label in the top-left corner, when the room has one for this seat.
+    if(room.seatLabels?.has(sid)) out.push(`<text x="${x+4}" y="${y+11}" font-size="9" fill="#555">${escapeXML(room.seatLabels.get(sid))}</text>`);
+    const p = pupilBySeat.get(sid);
+    if(!p) continue;
+    const lines = wrapLabel(labelOf(p), 10);
+    const y0 = y + cell/2 + 4 - (lines.length-1)*7;
+    lines.forEach((line, i) => {
+    out.push(`<text x="${x+cell/2}" y="${y0 + i*14}" font-size="12" text-anchor="middle">${escapeXML(line)}</text>`);
+    });
+}
+
+// Table outlines, computed after orientation so boxes stay tight.
+for(const [name, seatIds] of tableSeats(room)){
+    let x0=Infinity, y0=Infinity, x1=-Infinity, y1=-Infinity;
+    for(const sid of seatIds){
+    const rc = posBySeat.get(sid);
+    if(!rc) continue;
+    const {x,y} = at(rc[0], rc[1]);
+    x0 = Math.min(x0, x); y0 = Math.min(y0, y); x1 = Math.max(x1, x+cell); y1 = Math.max(y1, y+cell);
+    }
+    if(x0 === Infinity) continue;
+    const pad = gap/2;
+    out.push(`<rect x="${x0-pad}" y="${y0-pad}" width="${x1-x0+2*pad}" height="${y1-y0+2*pad}" rx="12" fill="none" stroke="#111" stroke-dasharray="5 3"/>`);
+    // Name sits on the top edge, on a white tab so it reads over the dashes.
+    const tw = 6*String(name).length + 8;
+    out.push(`<rect x="${x0+4}" y="${y0-pad-5}" width="${tw}" height="10" fill="#fff"/>`);
+    out.push(`<text x="${x0+8}" y="${y0-pad+3}" font-size="9" font-weight="700">${escapeXML(name)}</text>`);
+}
+
+// Legend
+const ly = height - margin - legend + 14;
+const items = [
+    [`<rect width="16" height="16" rx="3" fill="#fff" stroke="#111" stroke-width="1.5"/>`, "Seat"],
+    [`<rect width="16" height="16" rx="3" fill="#d4d4d4" stroke="#333"/>`, "Teacher"],
+    [`<rect width="16" height="16" fill="url(#hatch)" stroke="#555"/>`, "Blocked"],
+    [`<rect width="16" height="16" rx="4" fill="none" stroke="#111" stroke-dasharray="5 3"/>`, "Table"],
+];
+if(room.board?.size) items.push([`<rect width="16" height="16" rx="3" fill="#333" stroke="#111"/>`, "Board"]);
+items.forEach(([swatch, text], i) => {
+    const x = margin + i*100;
+    out.push(`<g transform="translate(${x},${ly})">${swatch}<text x="22" y="12" font-size="11">${text}</text></g>`);
+});
+out.push(`</svg>`);
+return out.join("\n");
+}
+
+// --------- Assignment ---------
+function buildInitialAssignment(problem, seed){
+const rng = mulberry32(seed >>> 0);
+const { room, pupils } = problem;
+const seats = allSeatIds(room);
+
+// fixed placements
+const used = new Set();
+const assign = {};
+
+for(const p of pupils){
+    const sid = fixedSeatOf(room, p);
+    if(sid === null) continue;
+    if(sid === undefined) throw new Error(fixedSeatMissing(p));
+    if(used.has(sid)) throw new Error(`seat ${sid} fixed twice`);
+    assign[p.id]=sid; used.add(sid);
+}
+
+// remaining seats
+const free = seats.filter(s=>!used.has(s));
+
+// Split pupils:
+//  - tagged pupils (any tags) are placed first (uniform random over remaining seats)
+//  - then all other pupils are placed with a FRONT-BIASED random (more likely near the top/front)
+const remainingPupils = pupils.filter(p=>!assign[p.id]);
+const tagged = remainingPupils.filter(p => Array.isArray(p.tags) && p.tags.length>0).map(p=>p.id);
+const untagged = remainingPupils.filter(p => !(Array.isArray(p.tags) && p.tags.length>0)).map(p=>p.id);
+
+if((tagged.length + untagged.length) > free.length){
+    throw new Error(`Not enough seats (${seats.length}) for pupils (${pupils.length})`);
+}
+
+// 1) Place tagged pupils (uniform random)
+shuffleInPlace(free, rng);
+let idx = 0;
+for(const pid of tagged){
+    assign[pid] = free[idx++];
+}
+
+// 2) Place untagged pupils (front-to-back flood fill)
+// Classroom-style fill: after priority placements, fill the remaining seats
+// starting from the front row (row 0) moving backwards.
+// Optional: keep a little randomness *within the same row* so it doesn't look too artificial.
+
+const free2 = free.slice(idx);
+
+// Sort seats by row asc (front->back), then col asc (left->right)
+const pos = seatPositions(room);
+free2.sort((sa, sb) => {
+    const a = pos.get(sa);
+    const b = pos.get(sb);
+    if(!a && !b) return 0;
+    if(!a) return 1;
+    if(!b) return -1;
+    if(a.r !== b.r) return a.r - b.r;
+    return a.c - b.c;
+});
+
+// Mild within-row shuffle toggle (set to 0 for strict left-to-right)
+const WITHIN_ROW_SHUFFLE = 1;
+
+if(WITHIN_ROW_SHUFFLE){
+    // Group seats by row, shuffle each row block to mimic "fill tables" feel
+    let i0 = 0;
+    while(i0 < free2.length){
+    const p0 = pos.get(free2[i0]);
+    let i1 = i0 + 1;
+    while(i1 < free2.length){
+        const p1 = pos.get(free2[i1]);
+        if(!p0 || !p1 || p1.r !== p0.r) break;
+        i1++;
+    }
+    // shuffle [i0, i1)
+    const slice = free2.slice(i0, i1);
+    shuffleInPlace(slice, rng);
+    for(let k=0;k<slice.length;k++) free2[i0+k] = slice[k];
+    i0 = i1;
+    }
+}
+
+// Assign sequentially (flood fill)
+for(let i=0; i<untagged.length; i++){
+    assign[untagged[i]] = free2[i];
+}
+
+return assign;
+}
+
+function isFixedPupil(p){
+return !!(p.fixed && (p.fixed.seat || ("r" in p.fixed)));
+}
+
+function fixedSeatMissing(p){
+return p.fixed.seat ? `fixed seat ${p.fixed.seat} not in map` : `fixed r,c (${p.fixed.r},${p.fixed.c}) is not a seat`;
+}
+
+function invertAssignment(assign){
+const inv = {};
+for(const [pid,sid] of Object.entries(assign)) inv[sid]=pid;
+return inv;
+}
+
+function repairAssignment(problem, assign, seed){
+// Ensure all pupils have seats and no duplicates; respects fixed.
+const rng = mulberry32(seed >>> 0);
+const { room, pupils } = problem;
+const seats = allSeatIds(room);
+
+const used = new Set();
+const fixed = new Map();
+
+// apply fixed
+for(const p of pupils){
+    const sid = fixedSeatOf(room, p);
+    if(sid === undefined) throw new Error(fixedSeatMissing(p));
+    if(sid) fixed.set(p.id, sid);
+}
+
+// clear duplicates & invalid seats
+const clean = {};
+for(const p of pupils){
+    const pid = p.id;
+    if(fixed.has(pid)){
+    const sid = fixed.get(pid);
+    if(used.has(sid)) throw new Error(`seat ${sid} fixed twice`);
+    clean[pid]=sid; used.add(sid);
+    } else {
+    const sid = assign[pid];
+    if(sid && seats.includes(sid) && !used.has(sid)){
+        clean[pid]=sid; used.add(sid);
+    }
+    }
+}
+
+// fill rest
+const free = seats.filter(s=>!used.has(s));
+shuffleInPlace(free, rng);
+let idx=0;
+for(const p of pupils){
+    if(clean[p.id]) continue;
+    if(idx>=free.length) throw new Error("Not enough seats to repair assignment");
+    clean[p.id]=free[idx++];
+}
+
+return clean;
+}
+
+// --------- Constraints / rules engine ---------
+const HARD_MULT = 1_000_000;
+
+// ctx: { pupilsById, teacherTiles, tableOf, tableSet, seatAttrs, seatPos, board, walk, room, zoneCache, history } — see scoreContext()
+// detail (optional): {pupils:[], links:[[{r,c},{r,c}]]} collects who breaks the rule
+// and which positions to join on the map; see ruleBreakdown().
+// Rules with enabled:false are kept in the plan but score 0.
+function rulePenalty(rule, assign, ctx, detail){
+if(rule.enabled === false) return 0;
+const { pupilsById, teacherTiles, tableOf, tableSet } = ctx;
+const type = rule.type;
+const hard = !!rule.hard;
+const weight = Math.max(1, rule.weight|0);
+
+function posOf(pid){
+    const sid = assign[pid];
+    if(!sid) return null;
+    return ctx.seatPos.get(sid) || null;
+}
+function blame(...pids){ detail?.pupils.push(...pids); }
+function link(pa, pb){ detail?.links.push([pa, pb]); }
+const measure = (metric) => metric === "walking" ? ctx.walk : dist[metric];
+
+let p = 0;
+
+if(type === "MinDistance"){
+    const a=rule.a, b=rule.b, dNeed=rule.d|0, metric=rule.metric||"manhattan";
+    const pa=posOf(a), pb=posOf(b);
+    if(!pa||!pb) p=0;
+    else{
+    const d = measure(metric)(pa,pb);
+    p = d>=dNeed ? 0 : (dNeed - d);
+    if(p>0){ blame(a,b); link(pa,pb); }
+    }
+}
+else if(type === "MaxDistance"){
+    const a=rule.a, b=rule.b, dMax=rule.d|0, metric=rule.metric||"manhattan";
+    const pa=posOf(a), pb=posOf(b);
+    if(!pa||!pb) p=0;
+    else{
+    const d = measure(metric)(pa,pb);
+    p = d<=dMax ? 0 : (d - dMax);
+    if(p>0){ blame(a,b); link(pa,pb); }
+    }
+}
+else if(type === "NotAdjacent"){
+    const a=rule.a, b=rule.b;
+    const pa=posOf(a), pb=posOf(b);
+    if(!pa||!pb) p=0;
+    else p = dist.chebyshev(pa,pb) >= 2 ? 0 : 1;
+    if(p>0){ blame(a,b); link(pa,pb); }
+}
+else if(type === "PreferFront"){
+    // Soft: prefer in first k rows (front=top)
+    const pid=rule.pupil_id, k=rule.k|0;
+    const pp=posOf(pid);
+    if(!pp) p=0;
+    else p = (pp.r < k) ? 0 : 1;
+    if(p>0) blame(pid);
+}
+else if(type === "PreferAwayFromTeacher"){
+    const pid=rule.pupil_id, minD=rule.min_d|0, metric=rule.metric||"manhattan";
+    const pp=posOf(pid);
+    if(!pp || teacherTiles.length===0) p=0;
+    else{
+    let best = Infinity, nearest = null;
+    for(const t of teacherTiles){
+        const d = measure(metric)(pp, t);
+        if(d < best){ best = d; nearest = t; }
+    }
+    p = best >= minD ? 0 : (minD - best);
+    if(p>0){ blame(pid); link(pp, nearest); }
+    }
+}
+else if(type === "MustBeInRows"){
+    const pid=rule.pupil_id, rMin=rule.r_min|0, rMax=rule.r_max|0;
+    const pp=posOf(pid);
+    if(!pp) p=0;
+    else p = (pp.r>=rMin && pp.r<=rMax) ? 0 : 1;
+    if(p>0) blame(pid);
+}
+else if(type === "MustBeInSeats"){
+    const pid=rule.pupil_id;
+    const allowed = new Set((rule.allowed_seat_ids||[]).map(ref => seatByRef(ctx.room, ref)));
+    const sid = assign[pid];
+    if(!sid) p=0;
+    else p = allowed.has(sid) ? 0 : 1;
+    if(p>0) blame(pid);
+}
+else if(type === "TagSeparation"){
+    // group: rule.tag, or rule.attr (+ value / min / max) — see pupilMatches()
+    const minD = rule.min_d|0;
+    const metric = rule.metric||"manhattan";
+    const tagged = [];
+    for(const p0 of Object.values(pupilsById)){
+    if(pupilMatches(p0, rule) && assign[p0.id]) tagged.push(p0.id);
+    }
+    let pen = 0;
+    for(let i=0;i<tagged.length;i++){
+    for(let j=i+1;j<tagged.length;j++){
+        const pa=posOf(tagged[i]);
+        const pb=posOf(tagged[j]);
+        if(!pa||!pb) continue;
+        const d = measure(metric)(pa,pb);
+        if(d < minD){
+        pen += (minD - d);
+        blame(tagged[i], tagged[j]); link(pa,pb);
+        }
+    }
+    }
+    p = pen;
+}
+else if(type === "SameTable" || type === "DifferentTable"){
+    // Pupils not seated at a table are never "at the same table".
+    const a=rule.a, b=rule.b;
+    const sa=assign[a], sb=assign[b];
+    if(!sa||!sb) p=0;
+    else{
+    const ta=tableOf.get(sa), tb=tableOf.get(sb);
+    const same = ta!=null && ta===tb;
+    p = (type === "SameTable") === same ? 0 : 1;
+    if(p>0){ blame(a,b); const pa=posOf(a), pb=posOf(b); if(pa&&pb) link(pa,pb); }
+    }
+}
+else if(type === "TableTagMax" || type === "TableBalance"){
+    // group: rule.tag or rule.attr (+ value / min / max); counted per table
+    const counts = new Map(Array.from(tableSet, t=>[t,0]));
+    const members = new Map(Array.from(tableSet, t=>[t,[]]));
+    for(const p0 of Object.values(pupilsById)){
+    if(!pupilMatches(p0, rule)) continue;
+    const t = tableOf.get(assign[p0.id]);
+    if(t==null) continue;
+    counts.set(t, counts.get(t)+1);
+    members.get(t).push(p0.id);
+    }
+    const [lo, hi] = tableCountBounds(rule, counts);
+    for(const [t,n] of counts){
+    const over = n>hi ? n-hi : (n<lo ? lo-n : 0);
+    if(over>0){ p += over; blame(...members.get(t)); }
+    }
+}
+else if(type === "MustHaveSeatAttribute" || type === "PreferSeatAttribute" || type === "AvoidSeatAttribute"){
+    // +1 per pupil (rule.pupil_id, or a tag/attr group) on the wrong kind of seat
+    const want = type !== "AvoidSeatAttribute";
+    for(const pid of rulePupils(rule, ctx)){
+    const sid = assign[pid];
+    if(!sid) continue;
+    if(ctx.seatAttrs.get(sid)?.includes(rule.seat_attr) !== want){ p += 1; blame(pid); }
+    }
+}
+else if(type === "ClearViewOfBoard" || type === "MaxViewingAngle"){
+    // per pupil: board tiles hidden by blocked tiles, or steps past max_deg;
+    // the link shows the blocked sight line (or the line to the nearest board tile)
+    for(const pid of rulePupils(rule, ctx)){
+    const pp = posOf(pid);
+    if(!pp) continue;
+    const pen = boardPenalty(rule, ctx.board, pp);
+    if(pen === 0) continue;
+    p += pen;
+    blame(pid);
+    const seen = ctx.board.from(pp);
+    if(type === "ClearViewOfBoard") for(const t of seen.hidden) link(pp, t);
+    else link(pp, seen.nearest);
+    }
+}
+else if(type === "ZoneBalance"){
+    // group counted per zone (see roomZones); pupils outside every zone don't count
+    const z = zonesFor(ctx, rule);
+    const counts = new Array(z.cap.length).fill(0);
+    const members = z.cap.map(() => []);
+    for(const p0 of Object.values(pupilsById)){
+    if(!pupilMatches(p0, rule)) continue;
+    const zi = z.zoneOf.get(assign[p0.id]);
+    if(zi==null) continue;
+    counts[zi]++;
+    members[zi].push(p0.id);
+    }
+    const bounds = zoneCountBounds(rule, counts, z.cap);
+    counts.forEach((n, zi) => {
+    const [lo, hi] = bounds[zi];
+    const over = n>hi ? n-hi : (n<lo ? lo-n : 0);
+    if(over>0){ p += over; blame(...members[zi]); }
+    });
+}
+else if(type === "AvoidPastNeighbours"){
+    // +1 per pair who are neighbours now and were in one of the last k plans;
+    // with same_seat, +1 per pupil back in a seat they had in those plans.
+    const past = pastSeating(ctx.history, rule);
+    for(const [a,b] of past.pairs){
+    const pa=posOf(a), pb=posOf(b);
+    if(!pa||!pb) continue;
+    if(dist[past.metric](pa,pb) <= past.radius){ p += 1; blame(a,b); link(pa,pb); }
+    }
+    if(rule.same_seat){
+    for(const [pid, had] of past.seats){
+        if(assign[pid] && had.has(assign[pid])){ p += 1; blame(pid); }
+    }
+    }
+}
+else {
+    // Unknown rule type => ignore (safe)
+    p = 0;
+}
+
+if(p<=0) return 0;
+return hard ? (p * HARD_MULT) : (p * weight);
+}
+
+// Allowed group members per table: TableTagMax caps at rule.per_table; TableBalance asks
+// for an even spread, i.e. floor..ceil of (group size / tables), widened by rule.tolerance.
+function tableCountBounds(rule, counts){
+if(rule.type === "TableTagMax") return [0, Math.max(0, rule.per_table|0)];
+const n = Array.from(counts.values()).reduce((x,y)=>x+y, 0);
+const t = Math.max(1, counts.size), tol = Math.max(0, rule.tolerance|0);
+return [Math.floor(n/t) - tol, Math.ceil(n/t) + tol];
+}
+
+// --------- Zones ---------
+// ZoneBalance splits the room's seats into zones: bands of `size` rows or columns
+// (front to back, left to right), four quadrants around the middle of the grid,
+// or named lists of seat ids ({by:"zones", zones:{name:[seatId]}}; a seat listed
+// twice belongs to the first zone). {zoneOf:Map<seatId, zone>, cap:[seats], names:[name]}
+const ZONE_BY = ["rows", "columns", "quadrants", "zones"];
+
+function roomZones(room, rule){
+const by = rule.by || "rows";
+const size = Math.max(1, rule.size|0);
+const zoneOf = new Map(), names = [], index = new Map();
+const put = (sid, name) => {
+    if(zoneOf.has(sid)) return;
+    if(!index.has(name)){ index.set(name, names.length); names.push(name); }
+    zoneOf.set(sid, index.get(name));
+};
+if(by === "zones"){
+    for(const [name, refs] of Object.entries(rule.zones || {})){
+    for(const ref of Array.isArray(refs) ? refs : []){
+        const sid = seatByRef(room, ref);
+        if(sid) put(sid, name);
+    }
+    }
+} else {
+    const seats = Array.from(room.seats, ([k, sid]) => { const [r,c] = k.split(",").map(Number); return { sid, r, c }; });
+    seats.sort((a,b) => a.r-b.r || a.c-b.c);
+    const band = (word, x) => { const lo = Math.floor(x/size)*size; return size === 1 ? `${word} ${lo}` : `${word}s ${lo}–${lo+size-1}`; };
+    for(const s of seats){
+    if(by === "columns") put(s.sid, band("column", s.c));
+    else if(by === "quadrants") put(s.sid, (s.r < room.rows/2 ? "front" : "back") + (s.c < room.cols/2 ? " left" : " right"));
+    else put(s.sid, band("row", s.r));
+    }
+}
+const cap = names.map(() => 0);
+for(const zi of zoneOf.values()) cap[zi]++;
+return { zoneOf, cap, names };
+}
+
+function zonesFor(ctx, rule){
+const key = JSON.stringify([rule.by, rule.size, rule.zones]);
+if(!ctx.zoneCache.has(key)) ctx.zoneCache.set(key, roomZones(ctx.room, rule));
+return ctx.zoneCache.get(key);
+}
+
+// Allowed group members per zone: an even spread means a share of the group
+// proportional to the zone's seats, rounded either way, widened by rule.tolerance.
+function zoneCountBounds(rule, counts, cap){
+const n = counts.reduce((x,y)=>x+y, 0);
+const seats = cap.reduce((x,y)=>x+y, 0) || 1;
+const tol = Math.max(0, rule.tolerance|0);
+return cap.map(k => {
+    const share = n*k/seats;
+    return [Math.floor(share + 1e-9) - tol, Math.ceil(share - 1e-9) + tol];
+});
+}
+
+// Everything rulePenalty needs besides the assignment, built once per problem.
+function scoreContext(problem){
+const tables = problem.room.tables || new Map();
+return {
+    pupilsById: Object.fromEntries(problem.pupils.map(p=>[p.id,p])),
+    teacherTiles: teacherTilesOf(problem.room),
+    tableOf: tables,
+    tableSet: new Set(tables.values()),
+    seatAttrs: problem.room.seatAttrs || new Map(),
+    seatPos: seatPositions(problem.room),
+    board: boardView(problem.room),
+    walk: walkingDistance(problem.room),
+    room: problem.room,
+    zoneCache: new Map(),
+    history: problem.history || [],
+};
+}
+
+function scoreAssignment(problem, assign, ctx){
+ctx = ctx || scoreContext(problem);
+
+let total = 0;
+let hardBreaks = 0;
+for(const rule of problem.rules){
+    const pen = rulePenalty(rule, assign, ctx);
+    total += pen;
+    if(pen>=HARD_MULT && rule.hard) hardBreaks += 1;
+    // (Note: hardBreaks counts rule objects violated, not magnitude)
+}
+return { total, hardBreaks };
+}
+
+// Pupils a rule refers to, whether or not it is currently broken.
+function rulePupils(rule, ctx){
+if(rule.a!=null || rule.b!=null) return [rule.a, rule.b].filter(x=>x!=null).map(String);
+if(rule.pupil_id!=null) return [String(rule.pupil_id)];
+if(rule.tag!=null || rule.attr!=null){
+    return Object.values(ctx.pupilsById).filter(p0 => pupilMatches(p0, rule)).map(p0=>p0.id);
+}
+return [];
+}
+
+// Per-rule view of scoreAssignment(): one entry per rule, in rule order.
+// {index, rule, penalty, hard, broken, involved:[pid], offenders:[pid], links:[[{r,c},{r,c}]]}
+function ruleBreakdown(problem, assign, ctx){
+ctx = ctx || scoreContext(problem);
+return problem.rules.map((rule, index) => {
+    const detail = { pupils: [], links: [] };
+    const penalty = rulePenalty(rule, assign, ctx, detail);
+    return {
+    index, rule, penalty,
+    hard: !!rule.hard,
+    broken: penalty > 0,
+    involved: rulePupils(rule, ctx),
+    offenders: Array.from(new Set(detail.pupils)),
+    links: detail.links,
+    };
+});
+}
+
+// --------- Validation ---------
+// The normalisers above are forgiving (bad JSON reads as [], unknown rule types
+// score 0); these report what they would silently drop so the page can show it.
+// Issues: {level:"error"|"warning", index, field?, message, line?, col?}
+// Errors make the problem unfit to solve; warnings are probably mistakes.
+
+// Field kinds per rule type. "?" marks optional fields; "group" is a tag or
+// attribute selector (see pupilMatches); "who" is a pupil_id or a group.
+const RULE_FIELDS = {
+MinDistance: { a:"pupil", b:"pupil", d:"number", metric:"metric?" },
+MaxDistance: { a:"pupil", b:"pupil", d:"number", metric:"metric?" },
+NotAdjacent: { a:"pupil", b:"pupil" },
+PreferFront: { pupil_id:"pupil", k:"number" },
+PreferAwayFromTeacher: { pupil_id:"pupil", min_d:"number", metric:"metric?" },
+MustBeInRows: { pupil_id:"pupil", r_min:"number", r_max:"number" },
+MustBeInSeats: { pupil_id:"pupil", allowed_seat_ids:"seats" },
+TagSeparation: { group:"group", min_d:"number", metric:"metric?" },
+SameTable: { a:"pupil", b:"pupil" },
+DifferentTable: { a:"pupil", b:"pupil" },
+TableTagMax: { group:"group", per_table:"number" },
+TableBalance: { group:"group", tolerance:"number?" },
+AvoidPastNeighbours: { k:"number?", metric:"metric?", radius:"number?", same_seat:"boolean?" },
+MustHaveSeatAttribute: { who:"who", seat_attr:"seatAttr" },
+PreferSeatAttribute: { who:"who", seat_attr:"seatAttr" },
+AvoidSeatAttribute: { who:"who", seat_attr:"seatAttr" },
+ClearViewOfBoard: { who:"who" },
+MaxViewingAngle: { who:"who", max_deg:"number" },
+ZoneBalance: { group:"group", by:"zoneBy", size:"number?", zones:"zones?", tolerance:"number?" },
+};
+const BOARD_RULE_TYPES = new Set(["ClearViewOfBoard", "MaxViewingAngle"]);
+
+// JSON.parse with the failure position as line/col (V8 and Firefox messages),
+// plus the line each top-level array element starts on.
+function parseJSONDetailed(text){
+text = String(text||"");
+if(!text.trim()) return { value: [], error: null, lines: [] };
+try{
+    return { value: JSON.parse(text), error: null, lines: elementLines(text) };
+}catch(e){
+    const msg = String(e.message||e);
+    let line = null, col = null;
+    const lc = /line (\d+) column (\d+)/.exec(msg);
+    const pos = /position (\d+)/.exec(msg);
+    if(lc){ line = +lc[1]; col = +lc[2]; }
+    else if(pos){
+    const before = text.slice(0, +pos[1]).split("\n");
+    line = before.length; col = before.at(-1).length + 1;
+    }
+    else if(/end of (JSON|data)|Unexpected end/i.test(msg)){
+    const all = text.split("\n");
+    line = all.length; col = all.at(-1).length + 1;
+    }
+    const message = msg.replace(/^JSON\.parse: /, "").replace(/ (in JSON )?at (position \d+|line \d+ column \d+).*$/, "");
+    return { value: null, error: { level: "error", index: null, message: `JSON: ${message}`, line, col }, lines: [] };
+}
+}
+
+function elementLines(text){
+const lines = [];
+let depth = 0, inStr = false, line = 1, expect = false;
+for(let i=0;i<text.length;i++){
+    const ch = text[i];
+    if(ch === "\n") line++;
+    if(inStr){
+    if(ch === "\\") i++;
+    else if(ch === '"') inStr = false;
+    continue;
+    }
+    if(/\s/.test(ch)) continue;
+    if(depth === 1 && expect){ lines.push(line); expect = false; }
+    if(ch === '"') inStr = true;
+    else if(ch === "[" || ch === "{"){ depth++; if(depth === 1 && ch === "[") expect = true; }
+    else if(ch === "]" || ch === "}") depth--;
+    else if(ch === "," && depth === 1) expect = true;
+}
+return lines;
+}
+
+// Everything a seat can be named by: ids and labels.
+function seatRefs(room){
+return new Set([...room.seats.values(), ...(room.seatLabels?.values() || [])]);
+}
+
+function validatePupils(list, room){
+const issues = [];
+const err = (index, message, field) => issues.push({ level: "error", index, field, message });
+const warn = (index, message, field) => issues.push({ level: "warning", index, field, message });
+if(!Array.isArray(list)){ err(null, "Pupils must be a JSON array"); return issues; }
+const seen = new Set();
+const seatIds = room ? seatRefs(room) : null;
+list.forEach((p, i) => {
+    if(!p || typeof p !== "object" || Array.isArray(p)){ err(i, "Not a pupil object"); return; }
+    const id = p.id ?? p.pupil_id;
+    if(id == null || String(id) === ""){ err(i, "Missing id", "id"); return; }
+    if(seen.has(String(id))) err(i, `Duplicate id "${id}"`, "id");
+    seen.add(String(id));
+    if(p.tags != null && (!Array.isArray(p.tags) || p.tags.some(t => typeof t !== "string"))) err(i, "tags must be an array of strings", "tags");
+    if(p.attrs != null){
+    if(typeof p.attrs !== "object" || Array.isArray(p.attrs)) err(i, "attrs must be an object", "attrs");
+    else for(const [k,v] of Object.entries(p.attrs)){
+        if(!(typeof v === "number" && Number.isFinite(v)) && typeof v !== "string") warn(i, `attrs.${k} is not a number or text and is ignored`, "attrs");
+    }
+    }
+    const f = p.fixed;
+    if(f != null){
+    if(typeof f !== "object") err(i, "fixed must be null, {seat} or {r,c}", "fixed");
+    else if(f.seat != null){
+        if(seatIds && !seatIds.has(f.seat)) err(i, `fixed seat "${f.seat}" is not a seat`, "fixed");
+    }
+    else if(f.r != null && f.c != null){
+        if(room && !isSeat(room, f.r|0, f.c|0)) err(i, `fixed r,c (${f.r},${f.c}) is not a seat`, "fixed");
+    }
+    else err(i, "fixed must be null, {seat} or {r,c}", "fixed");
+    }
+});
+return issues;
+}
+
+// problem: {room, pupils} (normalised) — used to check references.
+function validateRules(list, problem){
+const issues = [];
+const errAlways = (index, message, field) => issues.push({ level: "error", index, field, message });
+const warn = (index, message, field) => issues.push({ level: "warning", index, field, message });
+if(!Array.isArray(list)){ errAlways(null, "Rules must be a JSON array"); return issues; }
+const pupils = problem?.pupils || [];
+const pupilIds = new Set(pupils.map(p => p.id));
+const tags = new Set(pupils.flatMap(p => p.tags||[]));
+const attrs = new Set(pupils.flatMap(p => Object.keys(p.attrs||{})));
+const seatIds = problem?.room ? seatRefs(problem.room) : null;
+
+list.forEach((entry, i) => {
+    if(!entry || typeof entry !== "object" || Array.isArray(entry)){ errAlways(i, "Not a rule object"); return; }
+    const rule = upgradeRule(entry);
+    // A switched-off rule can't spoil a solve: its problems are only warnings.
+    const off = rule.enabled === false;
+    const err = off ? warn : errAlways;
+    const fields = RULE_FIELDS[rule.type];
+    if(!fields){ err(i, rule.type == null ? "Missing type" : `Unknown rule type "${rule.type}"`, "type"); return; }
+    if(rule.hard != null && typeof rule.hard !== "boolean") err(i, "hard must be true or false", "hard");
+    if(rule.enabled != null && typeof rule.enabled !== "boolean") err(i, "enabled must be true or false", "enabled");
+    if(BOARD_RULE_TYPES.has(rule.type) && problem?.room && !problem.room.board?.size) warn(i, "No board tiles on the map, so this rule never applies", "type");
+    if(rule.weight != null && !(Number.isFinite(rule.weight) && rule.weight >= 0)) err(i, "weight must be a number ≥ 0", "weight");
+    else if(rule.weight != null && !Number.isInteger(rule.weight)) warn(i, `weight ${rule.weight} is rounded down to ${rule.weight|0}`, "weight");
+
+    for(const [field, spec] of Object.entries(fields)){
+    const optional = spec.endsWith("?");
+    const kind = spec.replace("?", "");
+    if(kind === "who" && rule.pupil_id != null){
+        if(typeof rule.pupil_id !== "string" && typeof rule.pupil_id !== "number") err(i, "pupil_id must be a pupil id", "pupil_id");
+        else if(!pupilIds.has(String(rule.pupil_id))) err(i, `Unknown pupil "${rule.pupil_id}" in pupil_id`, "pupil_id");
+        continue;
+    }
+    if(kind === "group" || kind === "who"){
+        if(rule.tag == null && rule.attr == null){ err(i, kind === "who" ? "Needs a pupil_id, a tag or an attr" : "Needs a tag or an attr", "tag"); continue; }
+        if(rule.tag != null && !tags.has(rule.tag)) warn(i, `No pupil has tag "${rule.tag}"`, "tag");
+        if(rule.attr != null && !attrs.has(rule.attr)) warn(i, `No pupil has attribute "${rule.attr}"`, "attr");
+        else if(rule.attr != null && !pupils.some(p0 => pupilMatches(p0, rule))) warn(i, `No pupil matches ${groupLabel(rule)}`, "attr");
+        continue;
+    }
+    const v = rule[field];
+    if(v == null){ if(!optional) err(i, `Missing ${field}`, field); continue; }
+    if(kind === "pupil"){
+        if(typeof v !== "string" && typeof v !== "number") err(i, `${field} must be a pupil id`, field);
+        else if(!pupilIds.has(String(v))) err(i, `Unknown pupil "${v}" in ${field}`, field);
+    }
+    else if(kind === "number"){
+        if(typeof v !== "number" || !Number.isFinite(v)) err(i, `${field} must be a number`, field);
+    }
+    else if(kind === "boolean"){
+        if(typeof v !== "boolean") err(i, `${field} must be true or false`, field);
+    }
+    else if(kind === "metric"){
+        if(!METRICS.includes(v)) err(i, `Unknown metric "${v}" (use ${METRICS.join(", ")})`, field);
+        else if(v === "walking" && !WALK_RULE_TYPES.has(rule.type)) err(i, `${rule.type} can't use walking distance (use ${Object.keys(dist).join(", ")})`, field);
+    }
+    else if(kind === "seats"){
+        if(!Array.isArray(v)){ err(i, `${field} must be an array of seat ids or labels`, field); continue; }
+        const unknown = seatIds ? v.filter(sid => !seatIds.has(sid)) : [];
+        if(unknown.length) warn(i, `Not seats: ${unknown.join(", ")}`, field);
+    }
+    else if(kind === "zoneBy"){
+        if(!ZONE_BY.includes(v)) err(i, `${field} must be one of ${ZONE_BY.join(", ")}`, field);
+        else if(v === "zones" && rule.zones == null) err(i, `by "zones" needs zones`, "zones");
+    }
+    else if(kind === "zones"){
+        if(typeof v !== "object" || Array.isArray(v) || !Object.values(v).every(Array.isArray)){ err(i, `${field} must map zone names to arrays of seat ids or labels`, field); continue; }
+        const unknown = seatIds ? Object.values(v).flat().filter(sid => !seatIds.has(sid)) : [];
+        if(unknown.length) warn(i, `Not seats: ${unknown.join(", ")}`, field);
+        if(rule.by !== "zones") warn(i, `zones only apply with by "zones"`, field);
+    }
+    else if(kind === "seatAttr"){
+        if(typeof v !== "string" || !v) err(i, `${field} must be a seat attribute name`, field);
+        else if(problem?.room && !seatAttrNames(problem.room).includes(v)) warn(i, `No seat has attribute "${v}"`, field);
+    }
+    }
+});
+return issues;
+}
+
+// --------- Feasibility ---------
+// A quick look at the hard rules before solving, for plans that can't score 0.
+// Each pupil gets the seats its one-pupil hard rules (and `fixed`) allow; from
+// there we look for pupils left with no seat, groups with fewer seats than pupils
+// (Hall's condition), pair rules no pair of allowed seats satisfies, and groups
+// the room is too small to spread. Every finding is shrunk to a minimal set of
+// causes: dropping any one of them makes that particular contradiction go away.
+// Returns {ok, conflicts:[{level:"error"|"warning", rules:[index], pupils:[pid], message}]}.
+function analyseFeasibility(problem){
+const { room, pupils, rules } = problem;
+const ctx = scoreContext(problem);
+const seats = Array.from(room.seats, ([k, sid]) => { const [r,c] = k.split(",").map(Number); return { sid, r, c }; });
+const conflicts = [];
+const seen = new Set();
+const say = (level, causes, pids, message) => {
+    const ruleIdx = Array.from(new Set(causes.filter(u => u.rule != null).map(u => u.rule))).sort((x,y) => x-y);
+    const key = level + "|" + ruleIdx.join(",") + "|" + [...pids].sort().join(",") + "|" + message;
+    if(seen.has(key)) return;
+    seen.add(key);
+    conflicts.push({ level, rules: ruleIdx, pupils: pids, message });
+};
+// Rules that share a name are told apart by their number.
+const nameUses = new Map();
+for(const r of rules) nameUses.set(r.name || r.type, (nameUses.get(r.name || r.type) || 0) + 1);
+const ruleName = (i) => {
+    const name = rules[i].name || rules[i].type;
+    return nameUses.get(name) > 1 ? `“${name}” (rule ${i+1})` : `“${name}”`;
+};
+const describe = (u) => u.rule != null ? ruleName(u.rule) : `${u.pid} being fixed in ${u.sid}`;
+// Each rule or fixed seat once, however many pupils it limits.
+const listOf = (units) => {
+    const byKey = new Map(units.map(u => [u.rule != null ? `rule:${u.rule}` : `fixed:${u.pid}`, u]));
+    const items = Array.from(byKey.values(), describe);
+    return items.length <= 1 ? items.join("") : `${items.slice(0,-1).join(", ")} and ${items.at(-1)}`;
+};
+const seatList = (ss) => ss.length <= 8 ? ss.map(x => x.sid).join(", ") : `${ss.length} seats`;
+const active = (rule) => rule.hard && rule.enabled !== false;
+
+if(pupils.length > seats.length){
+    say("error", [], [], `${pupils.length} pupils but only ${seats.length} seats.`);
+}
+
+// One-pupil restrictions: {rule?, pid, sid?, ok(seat)}
+const limits = new Map(pupils.map(p => [p.id, []]));
+for(const p of pupils){
+    let sid = fixedSeatOf(room, p);
+    if(sid === undefined) sid = p.fixed.seat || `(${p.fixed.r},${p.fixed.c})`;
+    if(sid != null) limits.get(p.id).push({ pid: p.id, sid, ok: s => s.sid === sid });
+}
+rules.forEach((rule, i) => {
+    const fields = RULE_FIELDS[rule.type];
+    if(!active(rule) || !(fields?.pupil_id || fields?.who)) return;
+    // a "who" group limits each member on their own
+    for(const pid of fields.who ? rulePupils(rule, ctx) : [String(rule.pupil_id)]){
+    if(limits.has(pid)) limits.get(pid).push({ rule: i, pid, ok: s => rulePenalty(rule, { [pid]: s.sid }, ctx) === 0 });
+    }
+});
+const allowed = (pid, causes) => seats.filter(s => causes.every(u => u.pid !== pid || u.ok(s)));
+
+// Greedy deletion: the smallest subset (by inclusion) for which bad() still holds.
+function shrink(items, bad){
+    let keep = items.slice();
+    for(const x of items){
+    const without = keep.filter(y => y !== x);
+    if(bad(without)) keep = without;
+    }
+    return keep;
+}
+
+// 1. Pupils with no seat at all
+const domains = new Map();
+for(const p of pupils){
+    const causes = limits.get(p.id);
+    const dom = allowed(p.id, causes);
+    domains.set(p.id, dom);
+    if(dom.length === 0 && causes.length){
+    const core = shrink(causes, sub => allowed(p.id, sub).length === 0);
+    say("error", core, [p.id], core.length === 1
+        ? `${describe(core[0])} leaves ${p.id} no seat.`
+        : `No seat satisfies ${listOf(core)} for ${p.id}.`);
+    }
+}
+
+// 2. Groups of pupils squeezed into fewer seats than they need
+if(pupils.length <= seats.length){
+    const seatOf = new Map(); // sid -> pid (matching)
+    const tryPlace = (pid, visited) => {
+    for(const s of domains.get(pid)){
+        if(visited.has(s.sid)) continue;
+        visited.add(s.sid);
+        if(!seatOf.has(s.sid) || tryPlace(seatOf.get(s.sid), visited)){ seatOf.set(s.sid, pid); return true; }
+    }
+    return false;
+    };
+    const unmatched = pupils.filter(p => domains.get(p.id).length && !tryPlace(p.id, new Set()));
+    for(const u of unmatched){
+    // Pupils reachable by alternating paths from u only ever reach |S|-1 seats.
+    const group = new Set([u.id]);
+    const queue = [u.id];
+    while(queue.length){
+        for(const s of domains.get(queue.shift())){
+        const other = seatOf.get(s.sid);
+        if(other && !group.has(other)){ group.add(other); queue.push(other); }
+        }
+    }
+    const squeezed = (pids, causes) => {
+        const reach = new Set();
+        for(const pid of pids) for(const s of allowed(pid, causes)) reach.add(s.sid);
+        return reach.size < pids.length;
+    };
+    const allCauses = [...group].flatMap(pid => limits.get(pid));
+    const order = pupils.map(p0 => p0.id).filter(pid => group.has(pid));
+    const pids = shrink(order, sub => squeezed(sub, allCauses));
+    const core = shrink(pids.flatMap(pid => limits.get(pid)), sub => squeezed(pids, sub));
+    const reach = seats.filter(s => pids.some(pid => allowed(pid, core).includes(s)));
+    say("error", core, pids, `${pids.length} pupils (${pids.join(", ")}) have only ${reach.length} seat${reach.length===1 ? "" : "s"} between them (${seatList(reach)}) under ${listOf(core)}.`);
+    }
+}
+
+// 3. Pair rules no allowed pair of seats can satisfy
+rules.forEach((rule, i) => {
+    const fields = RULE_FIELDS[rule.type];
+    if(!active(rule) || !fields?.a || !fields?.b) return;
+    const a = String(rule.a), b = String(rule.b);
+    if(a === b || !limits.has(a) || !limits.has(b)) return;
+    if(!domains.get(a).length || !domains.get(b).length) return; // reported above
+    const possible = (causes) => {
+    const db = allowed(b, causes);
+    return allowed(a, causes).some(sa => db.some(sb => sb !== sa && rulePenalty(rule, { [a]: sa.sid, [b]: sb.sid }, ctx) === 0));
+    };
+    const causes = [...limits.get(a), ...limits.get(b)];
+    if(possible(causes)) return;
+    if(!possible([])){
+    say("error", [{ rule: i }], [a, b], `${ruleName(i)} can't hold anywhere in this room.`);
+    return;
+    }
+    const core = shrink(causes, sub => !possible(sub));
+    say("error", [{ rule: i }, ...core], [a, b], `${ruleName(i)} can't hold for ${a} and ${b} together with ${listOf(core)}.`);
+});
+
+// 4. Groups that have to be spread further apart than the room allows
+rules.forEach((rule, i) => {
+    if(!active(rule)) return;
+    const members = pupils.filter(p0 => pupilMatches(p0, rule)).map(p0 => p0.id);
+    if(rule.type === "TagSeparation" && members.length > 1){
+    const minD = rule.min_d|0, metric = rule.metric || "manhattan";
+    const pool = seats.filter(s => members.some(pid => domains.get(pid).includes(s)));
+    const most = spreadUpperBound(pool, minD, metric, room);
+    const d = metric === "walking" ? ctx.walk : dist[metric];
+    const group = groupLabel(rule);
+    if(most < members.length){
+        say("error", [{ rule: i }], members, `${ruleName(i)} needs ${members.length} pupils (${group}) at least ${minD} apart (${metric}), but the room fits at most ${most}.`);
+    } else {
+        const found = spreadGreedy(pool, minD, d);
+        if(found < members.length){
+        say("warning", [{ rule: i }], members, `${ruleName(i)}: couldn't find room for more than ${found} of the ${members.length} pupils (${group}) at least ${minD} apart; it may be impossible.`);
+        }
+    }
+    }
+    if(rule.type === "TableTagMax"){
+    const max = Math.max(0, rule.per_table|0);
+    const loose = seats.filter(s => !ctx.tableOf.has(s.sid)).length;
+    const capacity = max * ctx.tableSet.size + loose;
+    if(members.length > capacity){
+        say("error", [{ rule: i }], members, `${ruleName(i)} allows ${max} per table at ${ctx.tableSet.size} tables${loose ? ` plus ${loose} seats outside tables` : ""}, but ${members.length} pupils are ${groupLabel(rule)}.`);
+    }
+    }
+});
+
+conflicts.sort((x,y) => (x.level === "error" ? 0 : 1) - (y.level === "error" ? 0 : 1));
+return { ok: !conflicts.some(x => x.level === "error"), conflicts };
+}
+
+// Most seats in `pool` that can be pairwise >= minD apart, from above: tile the
+// grid with w×h blocks too small to hold two such seats and count the blocks
+// that contain a seat; the best tiling (over shapes and offsets) bounds it.
+// Walls can stretch walking distance without limit, so it gets no bound.
+function spreadUpperBound(pool, minD, metric, room){
+if(minD <= 1 || metric === "walking") return pool.length;
+let best = pool.length;
+for(let h=1; h<=room.rows; h++){
+    let w = 0;
+    while(w < room.cols && dist[metric]({r:0,c:0}, {r:h-1,c:w}) < minD) w++;
+    if(w === 0) break;
+    for(let oy=0; oy<h; oy++){
+    for(let ox=0; ox<w; ox++){
+        const blocks = new Set(pool.map(s => `${Math.floor((s.r+oy)/h)},${Math.floor((s.c+ox)/w)}`));
+        best = Math.min(best, blocks.size);
+    }
+    }
+}
+return best;
+}
+
+// ...and from below: greedy picks in a few scan orders. d is a distance (a, b) -> number.
+function spreadGreedy(pool, minD, d){
+const orders = [
+    (x,y) => x.r-y.r || x.c-y.c,
+    (x,y) => x.c-y.c || x.r-y.r,
+    (x,y) => y.r-x.r || x.c-y.c,
+    (x,y) => x.r-y.r || y.c-x.c,
+];
+let best = 0;
+for(const order of orders){
+    const picked = [];
+    for(const s of pool.slice().sort(order)){
+    if(picked.every(t => d(s, t) >= minD)) picked.push(s);
+    }
+    best = Math.max(best, picked.length);
+}
+return best;
+}
+
+// --------- Compiled scoring (incremental) ---------
+// compileProblem() turns a problem into index form: pupils and seats get integer
+// indices, seat coordinates live in typed arrays and every rule is split into
+// "terms" that each list the pupils they read. A rule's raw penalty is the sum of
+// its terms, so swapping A and B only re-evaluates the terms touching A or B.
+// Raw penalties are integers, which keeps the running total exactly equal to
+// scoreAssignment().
+
+// Same metrics as `dist`, on raw coordinates. Walking distance is tabulated per
+// seat pair in compileProblem().
+const distRC = {
+manhattan: (r1,c1,r2,c2) => Math.abs(r1-r2) + Math.abs(c1-c2),
+chebyshev: (r1,c1,r2,c2) => Math.max(Math.abs(r1-r2), Math.abs(c1-c2)),
+euclidean2: (r1,c1,r2,c2) => { const dr=r1-r2, dc=c1-c2; return dr*dr + dc*dc; },
+};
+
+function compileProblem(problem){
+const { room, rules } = problem;
+const ctx = scoreContext(problem);
+
+const pupilIds = Object.keys(ctx.pupilsById);
+const pupilIndex = new Map(pupilIds.map((id,i)=>[id,i]));
+
+const seatIds = allSeatIds(room);
+const seatIndex = new Map(seatIds.map((sid,i)=>[sid,i]));
+const seatR = Int16Array.from(seatIds, sid => ctx.seatPos.get(sid).r);
+const seatC = Int16Array.from(seatIds, sid => ctx.seatPos.get(sid).c);
+
+// table index per seat (-1 = not at a table)
+const tableList = Array.from(ctx.tableSet);
+const tableIndex = new Map(tableList.map((t,i)=>[t,i]));
+const seatTable = Int32Array.from(seatIds, sid => ctx.tableOf.has(sid) ? tableIndex.get(ctx.tableOf.get(sid)) : -1);
+
+const model = {
+    pupilIds, pupilIndex, seatIds, seatIndex, seatR, seatC, seatTable,
+    ruleMult: new Float64Array(rules.length),
+    ruleHard: new Uint8Array(rules.length),
+    termRule: [],
+    termFn: [],
+    termsByPupil: pupilIds.map(()=>[]),
+    teacherDist: new Map(), // metric -> Float64Array per seat, nearest teacher tile
+    walk: null, // Uint16Array seat×seat walking distances, built on first use
+};
+
+function metricFn(metric){
+    if(metric === "walking") return walkFn();
+    const f = distRC[metric];
+    if(!f) throw new Error(`Unknown metric: ${metric}`);
+    return (sa,sb) => f(seatR[sa],seatC[sa],seatR[sb],seatC[sb]);
+}
+function walkFn(){
+    const n = seatIds.length;
+    if(!model.walk){
+    model.walk = new Uint16Array(n*n);
+    for(let a=0;a<n;a++){
+        for(let b=0;b<n;b++) model.walk[a*n+b] = ctx.walk({r:seatR[a], c:seatC[a]}, {r:seatR[b], c:seatC[b]});
+    }
+    }
+    const w = model.walk;
+    return (sa,sb) => w[sa*n+sb];
+}
+function placed(s){ return s >= 0 && seatR[s] >= 0; }
+
+function addTerm(ri, pids, fn){
+    const idx = pids.map(pid=>pupilIndex.get(pid));
+    if(idx.some(i=>i==null)) return; // unknown pupil: scores 0 forever
+    const t = model.termFn.length;
+    model.termRule.push(ri);
+    model.termFn.push(fn.bind(null, ...idx));
+    for(const i of new Set(idx)) model.termsByPupil[i].push(t);
+}
+
+rules.forEach((rule, ri) => {
+    model.ruleHard[ri] = rule.hard ? 1 : 0;
+    model.ruleMult[ri] = rule.hard ? HARD_MULT : Math.max(1, rule.weight|0);
+    if(rule.enabled === false) return;
+    const type = rule.type;
+
+    if(type === "MinDistance"){
+    const dNeed=rule.d|0, d=metricFn(rule.metric||"manhattan");
+    addTerm(ri, [rule.a, rule.b], (a,b,S) => {
+        if(!placed(S[a])||!placed(S[b])) return 0;
+        const v = d(S[a],S[b]);
+        return v>=dNeed ? 0 : (dNeed - v);
+    });
+    }
+    else if(type === "MaxDistance"){
+    const dMax=rule.d|0, d=metricFn(rule.metric||"manhattan");
+    addTerm(ri, [rule.a, rule.b], (a,b,S) => {
+        if(!placed(S[a])||!placed(S[b])) return 0;
+        const v = d(S[a],S[b]);
+        return v<=dMax ? 0 : (v - dMax);
+    });
+    }
+    else if(type === "NotAdjacent"){
+    const d=metricFn("chebyshev");
+    addTerm(ri, [rule.a, rule.b], (a,b,S) => {
+        if(!placed(S[a])||!placed(S[b])) return 0;
+        return d(S[a],S[b]) >= 2 ? 0 : 1;
+    });
+    }
+    else if(type === "PreferFront"){
+    const k=rule.k|0;
+    addTerm(ri, [rule.pupil_id], (a,S) => (!placed(S[a]) || seatR[S[a]] < k) ? 0 : 1);
+    }
+    else if(type === "PreferAwayFromTeacher"){
+    if(ctx.teacherTiles.length===0) return;
+    const minD=rule.min_d|0, near=teacherDistFor(rule.metric||"manhattan");
+    addTerm(ri, [rule.pupil_id], (a,S) => {
+        if(!placed(S[a])) return 0;
+        const best = near[S[a]];
+        return best >= minD ? 0 : (minD - best);
+    });
+    }
+    else if(type === "MustBeInRows"){
+    const rMin=rule.r_min|0, rMax=rule.r_max|0;
+    addTerm(ri, [rule.pupil_id], (a,S) => {
+        if(!placed(S[a])) return 0;
+        const r = seatR[S[a]];
+        return (r>=rMin && r<=rMax) ? 0 : 1;
+    });
+    }
+    else if(type === "MustBeInSeats"){
+    const allowed = new Uint8Array(seatIds.length);
+    for(const ref of rule.allowed_seat_ids||[]){
+        const sid = seatByRef(room, ref);
+        if(seatIndex.has(sid)) allowed[seatIndex.get(sid)] = 1;
+    }
+    addTerm(ri, [rule.pupil_id], (a,S) => (S[a] < 0 || allowed[S[a]]) ? 0 : 1);
+    }
+    else if(type === "TagSeparation"){
+    // One term per pair of tagged pupils.
+    const minD=rule.min_d|0, d=metricFn(rule.metric||"manhattan");
+    const tagged = Object.values(ctx.pupilsById).filter(p0 => pupilMatches(p0, rule)).map(p0=>p0.id);
+    for(let i=0;i<tagged.length;i++){
+        for(let j=i+1;j<tagged.length;j++){
+        addTerm(ri, [tagged[i], tagged[j]], (a,b,S) => {
+            if(!placed(S[a])||!placed(S[b])) return 0;
+            const v = d(S[a],S[b]);
+            return v < minD ? (minD - v) : 0;
+        });
+        }
+    }
+    }
+    else if(type === "SameTable" || type === "DifferentTable"){
+    const wantSame = type === "SameTable";
+    addTerm(ri, [rule.a, rule.b], (a,b,S) => {
+        if(S[a]<0||S[b]<0) return 0;
+        const ta=seatTable[S[a]], tb=seatTable[S[b]];
+        return wantSame === (ta>=0 && ta===tb) ? 0 : 1;
+    });
+    }
+    else if(type === "TableTagMax" || type === "TableBalance"){
+    // One term over the whole group: the penalty isn't a sum over pupils.
+    const group = Object.values(ctx.pupilsById).filter(p0 => pupilMatches(p0, rule)).map(p0=>p0.id);
+    if(group.length === 0) return;
+    const nTables = tableList.length;
+    const counts = new Int32Array(nTables);
+    // the group size placed at tables changes as pupils move, so bounds are per evaluation
+    const countMap = new Map(tableList.map(t=>[t,0]));
+    addTerm(ri, group, (...args) => {
+        const S = args[args.length-1];
+        counts.fill(0);
+        for(let j=0;j<args.length-1;j++){
+        const s = S[args[j]];
+        if(s>=0 && seatTable[s]>=0) counts[seatTable[s]]++;
+        }
+        tableList.forEach((t,i)=>countMap.set(t, counts[i]));
+        const [lo, hi] = tableCountBounds(rule, countMap);
+        let pen = 0;
+        for(let i=0;i<nTables;i++){
+        const n = counts[i];
+        pen += n>hi ? n-hi : (n<lo ? lo-n : 0);
+        }
+        return pen;
+    });
+    }
+    else if(type === "MustHaveSeatAttribute" || type === "PreferSeatAttribute" || type === "AvoidSeatAttribute"){
+    const want = type !== "AvoidSeatAttribute";
+    const bad = new Uint8Array(seatIds.length);
+    seatIds.forEach((sid, s) => { bad[s] = ctx.seatAttrs.get(sid)?.includes(rule.seat_attr) === want ? 0 : 1; });
+    for(const pid of rulePupils(rule, ctx)){
+        addTerm(ri, [pid], (a,S) => S[a] >= 0 ? bad[S[a]] : 0);
+    }
+    }
+    else if(type === "ClearViewOfBoard" || type === "MaxViewingAngle"){
+    if(!ctx.board) return;
+    const pen = Float64Array.from(seatIds, (sid, s) => boardPenalty(rule, ctx.board, {r:seatR[s], c:seatC[s]}));
+    for(const pid of rulePupils(rule, ctx)){
+        addTerm(ri, [pid], (a,S) => S[a] >= 0 ? pen[S[a]] : 0);
+    }
+    }
+    else if(type === "ZoneBalance"){
+    // one term over the whole group, like TableBalance
+    const group = Object.values(ctx.pupilsById).filter(p0 => pupilMatches(p0, rule)).map(p0=>p0.id);
+    const z = zonesFor(ctx, rule);
+    if(group.length === 0 || z.cap.length === 0) return;
+    const seatZone = Int32Array.from(seatIds, sid => z.zoneOf.has(sid) ? z.zoneOf.get(sid) : -1);
+    const counts = new Array(z.cap.length).fill(0);
+    addTerm(ri, group, (...args) => {
+        const S = args[args.length-1];
+        counts.fill(0);
+        for(let j=0;j<args.length-1;j++){
+        const s = S[args[j]];
+        if(s>=0 && seatZone[s]>=0) counts[seatZone[s]]++;
+        }
+        const bounds = zoneCountBounds(rule, counts, z.cap);
+        let pen = 0;
+        for(let i=0;i<counts.length;i++){
+        const n = counts[i], [lo, hi] = bounds[i];
+        pen += n>hi ? n-hi : (n<lo ? lo-n : 0);
+        }
+        return pen;
+    });
+    }
+    else if(type === "AvoidPastNeighbours"){
+    const past = pastSeating(ctx.history, rule);
+    const d = metricFn(past.metric);
+    for(const pair of past.pairs){
+        addTerm(ri, pair, (a,b,S) => {
+        if(!placed(S[a])||!placed(S[b])) return 0;
+        return d(S[a],S[b]) <= past.radius ? 1 : 0;
+        });
+    }
+    if(rule.same_seat){
+        for(const [pid, had] of past.seats){
+        const hadIdx = new Uint8Array(seatIds.length);
+        for(const sid of had) if(seatIndex.has(sid)) hadIdx[seatIndex.get(sid)] = 1;
+        addTerm(ri, [pid], (a,S) => (S[a]>=0 && hadIdx[S[a]]) ? 1 : 0);
+        }
+    }
+    }
+    // Unknown rule type => no terms (scores 0, like rulePenalty)
+});
+
+function teacherDistFor(metric){
+    const d = metric === "walking" ? ctx.walk : dist[metric];
+    if(!d) throw new Error(`Unknown metric: ${metric}`);
+    if(!model.teacherDist.has(metric)){
+    const near = new Float64Array(seatIds.length);
+    for(let s=0;s<seatIds.length;s++){
+        let best = Infinity;
+        for(const t of ctx.teacherTiles) best = Math.min(best, d({r:seatR[s], c:seatC[s]}, t));
+        near[s] = best;
+    }
+    model.teacherDist.set(metric, near);
+    }
+    return model.teacherDist.get(metric);
+}
+
+model.termRule = Int32Array.from(model.termRule);
+model.termsByPupil = model.termsByPupil.map(ts => Int32Array.from(ts));
+return model;
+}
+
+// Incremental scorer over a compiled model, starting from `assign` (pupilId -> seatId,
+// seats must belong to the room). trySwap() applies a swap and returns the change in
+// total; follow it with accept() or reject().
+function createScorer(model, assign){
+const nTerms = model.termFn.length;
+const { termRule, termFn, termsByPupil, ruleMult, ruleHard } = model;
+
+const seatOf = new Int32Array(model.pupilIds.length).fill(-1);
+for(const [pid,sid] of Object.entries(assign||{})){
+    const i = model.pupilIndex.get(pid);
+    if(i==null || !sid) continue;
+    const s = model.seatIndex.get(sid);
+    if(s==null) throw new Error(`seat ${sid} not in map`);
+    seatOf[i] = s;
+}
+
+const termRaw = new Float64Array(nTerms);
+const ruleRaw = new Float64Array(ruleMult.length);
+for(let t=0;t<nTerms;t++){
+    termRaw[t] = termFn[t](seatOf);
+    ruleRaw[termRule[t]] += termRaw[t];
+}
+
+const scorer = { seatOf, total: 0, hardBreaks: 0 };
+for(let r=0;r<ruleRaw.length;r++){
+    if(ruleRaw[r] <= 0) continue;
+    scorer.total += ruleRaw[r] * ruleMult[r];
+    if(ruleHard[r]) scorer.hardBreaks += 1;
+}
+
+// scratch for the pending swap
+const stamp = new Uint32Array(nTerms);
+let stampNow = 0;
+const touched = new Int32Array(nTerms);
+const pending = new Float64Array(nTerms);
+let nTouched = 0, pendA = -1, pendB = -1, pendDelta = 0;
+
+function collect(i){
+    const ts = termsByPupil[i];
+    for(let j=0;j<ts.length;j++){
+    const t = ts[j];
+    if(stamp[t] === stampNow) continue;
+    stamp[t] = stampNow;
+    touched[nTouched++] = t;
+    }
+}
+
+scorer.trySwap = (a, b) => {
+    const sa = seatOf[a]; seatOf[a] = seatOf[b]; seatOf[b] = sa;
+    pendA = a; pendB = b;
+    stampNow = (stampNow + 1) >>> 0;
+    nTouched = 0;
+    collect(a); collect(b);
+    let delta = 0;
+    for(let j=0;j<nTouched;j++){
+    const t = touched[j];
+    const v = termFn[t](seatOf);
+    pending[j] = v;
+    delta += (v - termRaw[t]) * ruleMult[termRule[t]];
+    }
+    pendDelta = delta;
+    return delta;
+};
+
+// hardBreaks as it would be after accept(), for the pending swap
+const ruleTmp = new Float64Array(ruleMult.length);
+const ruleStamp = new Uint32Array(ruleMult.length);
+const rulesTouched = new Int32Array(ruleMult.length);
+scorer.pendingHardBreaks = () => {
+    let n = 0, hb = scorer.hardBreaks;
+    for(let j=0;j<nTouched;j++){
+    const t = touched[j], r = termRule[t];
+    if(!ruleHard[r]) continue;
+    if(ruleStamp[r] !== stampNow){ ruleStamp[r] = stampNow; ruleTmp[r] = ruleRaw[r]; rulesTouched[n++] = r; }
+    ruleTmp[r] += pending[j] - termRaw[t];
+    }
+    for(let j=0;j<n;j++){
+    const r = rulesTouched[j];
+    hb += (ruleTmp[r] > 0) - (ruleRaw[r] > 0);
+    }
+    return hb;
+};
+
+scorer.accept = () => {
+    for(let j=0;j<nTouched;j++){
+    const t = touched[j], r = termRule[t];
+    const before = ruleRaw[r];
+    ruleRaw[r] += pending[j] - termRaw[t];
+    termRaw[t] = pending[j];
+    if(ruleHard[r]) scorer.hardBreaks += (ruleRaw[r] > 0) - (before > 0);
+    }
+    scorer.total += pendDelta;
+    nTouched = 0;
+};
+
+scorer.reject = () => {
+    const sa = seatOf[pendA]; seatOf[pendA] = seatOf[pendB]; seatOf[pendB] = sa;
+    nTouched = 0;
+};
+
+// seatOf (or a saved copy of it) back to pupilId -> seatId
+scorer.toAssignment = (seats = seatOf) => {
+    const out = {};
+    for(let i=0;i<seats.length;i++){
+    if(seats[i] >= 0) out[model.pupilIds[i]] = model.seatIds[seats[i]];
+    }
+    return out;
+};
+
+return scorer;
+}
+
+// --------- Exact search (hard rules only) ---------
+// Backtracking over seats with forward checking: every pupil keeps a domain of
+// seats still open to it; placing a pupil takes its seat out of every domain and
+// drops the seats a hard rule would now forbid for the pupils it shares a term
+// with. Soft rules are ignored. Returns
+//   {status:"feasible", assignment, nodes} | {status:"infeasible"|"unknown", nodes}
+// "unknown" means maxNodes ran out before the search finished.
+const EXACT_MAX_NODES = 200000;
+// Terms whose penalty can fall as more pupils are placed can't prune a partial
+// plan; they're only checked once everyone is seated.
+const LATE_RULE_TYPES = new Set(["TableBalance", "ZoneBalance"]);
+
+function solveHard(problem, { seed = 12345, maxNodes = EXACT_MAX_NODES, model, progressCb } = {}){
+model = model || compileProblem(problem);
+const { termRule, termFn, termsByPupil, ruleHard } = model;
+const nP = model.pupilIds.length, nS = model.seatIds.length;
+if(nP > nS) return { status: "infeasible", nodes: 0 };
+
+const nTerms = termFn.length;
+const early = new Uint8Array(nTerms), late = [];
+for(let t=0;t<nTerms;t++){
+    if(!ruleHard[termRule[t]]) continue;
+    if(LATE_RULE_TYPES.has(problem.rules[termRule[t]].type)) late.push(t);
+    else early[t] = 1;
+}
+const earlyOf = Array.from(termsByPupil, ts => Array.from(ts).filter(t => early[t]));
+// pupils sharing an early hard term
+const nbrSets = Array.from({length: nP}, () => new Set());
+const termPupils = Array.from({length: nTerms}, () => []);
+termsByPupil.forEach((ts, i) => { for(const t of ts) if(early[t]) termPupils[t].push(i); });
+for(const ps of termPupils) for(const i of ps) for(const j of ps) if(i !== j) nbrSets[i].add(j);
+const nbrs = nbrSets.map(set => Int32Array.from(set));
+
+const S = new Int32Array(nP).fill(-1);
+const dom = new Uint8Array(nP*nS).fill(1);
+const size = new Int32Array(nP).fill(nS);
+const trail = [];
+const removeSeat = (i, s) => { dom[i*nS+s] = 0; size[i]--; trail.push(i*nS+s); };
+const undoTo = (mark) => {
+    while(trail.length > mark){ const x = trail.pop(); dom[x] = 1; size[(x/nS)|0]++; }
+};
+const breaks = (i) => { for(const t of earlyOf[i]) if(termFn[t](S) > 0) return true; return false; };
+
+// Starting domains: fixed seats and one-pupil limits.
+const fixedSeat = new Map();
+for(const p of problem.pupils){
+    if(!isFixedPupil(p)) continue;
+    const s = model.seatIndex.get(fixedSeatOf(problem.room, p));
+    if(s == null) return { status: "infeasible", nodes: 0 };
+    fixedSeat.set(model.pupilIndex.get(p.id), s);
+}
+for(let i=0;i<nP;i++){
+    for(let s=0;s<nS;s++){
+    if(fixedSeat.has(i) && fixedSeat.get(i) !== s){ removeSeat(i, s); continue; }
+    S[i] = s;
+    if(breaks(i)) removeSeat(i, s);
+    S[i] = -1;
+    }
+    if(size[i] === 0) return { status: "infeasible", nodes: 0 };
+}
+trail.length = 0;
+
+// Random value order has heavy tails, so the search restarts with a fresh order
+// and a doubled node budget until maxNodes is spent. Only a run that finishes
+// within its budget proves infeasibility.
+const rng = mulberry32(seed >>> 0);
+let nodes = 0, budget = 0, aborted = false;
+
+function place(i, s){
+    S[i] = s;
+    for(let j=0;j<nP;j++){
+    if(S[j] < 0 && dom[j*nS+s]){ removeSeat(j, s); if(size[j] === 0) return false; }
+    }
+    for(const j of nbrs[i]){
+    if(S[j] >= 0) continue;
+    for(let t=0;t<nS;t++){
+        if(!dom[j*nS+t]) continue;
+        S[j] = t;
+        const bad = breaks(j);
+        S[j] = -1;
+        if(bad) removeSeat(j, t);
+    }
+    if(size[j] === 0) return false;
+    }
+    return true;
+}
+
+function search(depth){
+    if(depth === nP){
+    for(const t of late) if(termFn[t](S) > 0) return false;
+    return true;
+    }
+    // most constrained pupil first, then the one with most hard neighbours
+    let i = -1;
+    for(let j=0;j<nP;j++){
+    if(S[j] >= 0) continue;
+    if(i < 0 || size[j] < size[i] || (size[j] === size[i] && nbrs[j].length > nbrs[i].length)) i = j;
+    }
+    const options = [];
+    for(let s=0;s<nS;s++) if(dom[i*nS+s]) options.push(s);
+    shuffleInPlace(options, rng);
+    for(const s of options){
+    if(++nodes > budget){ aborted = true; return false; }
+    if(progressCb && nodes % PROGRESS_EVERY === 0) progressCb({ phase: "exact", nodes });
+    const mark = trail.length;
+    if(place(i, s) && search(depth+1)) return true;
+    undoTo(mark);
+    S[i] = -1;
+    if(aborted) return false;
+    }
+    return false;
+}
+
+for(let run=0; nodes < maxNodes; run++){
+    budget = Math.min(maxNodes, nodes + 500 * 2**run);
+    aborted = false;
+    if(search(0)){
+    const assignment = {};
+    for(let i=0;i<nP;i++) assignment[model.pupilIds[i]] = model.seatIds[S[i]];
+    return { status: "feasible", assignment, nodes };
+    }
+    if(!aborted) return { status: "infeasible", nodes };
+    undoTo(0);
+    S.fill(-1);
+}
+return { status: "unknown", nodes };
+}
+
+// --------- Solver (Simulated Annealing + restarts) ---------
+
+// progressCb receives {restart, restarts, bestScore, bestHard, assignment} after every
+// restart, and {restart, restarts, i, iters, bestScore, bestHard} every PROGRESS_EVERY
+// iterations inside a restart. `assignment` is the best plan found so far.
+// With an exact mode it first gets {phase:"exact", nodes} ticks from solveHard().
+//
+// mode: "anneal"       annealing from random starts (hard rules are big penalties)
+//       "exact-anneal" solveHard() first; if it finds a plan, every restart starts
+//                      there and only takes swaps that keep the hard rules met
+//       "exact"        solveHard() only
+// The result carries `exact: {status, nodes}` for the exact modes; "exact" mode
+// returns assignment null unless the status is "feasible".
+//
+// keep > 1 also returns `candidates: [{assignment, bestScore, bestHard}]`, best
+// first: the best plans of different restarts, no two of which have fewer than
+// `minDiff` pupils in different seats. Restarts then only stop early once all
+// `keep` candidates score 0.
+const PROGRESS_EVERY = 2000;
+const SOLVER_MODES = ["anneal", "exact-anneal", "exact"];
+
+// Pupils seated differently in two seatOf arrays.
+function seatsApart(a, b){
+let n = 0;
+for(let i=0;i<a.length;i++) if(a[i] !== b[i]) n++;
+return n;
+}
+
+// Adds `cand` ({seatOf, score, hard}) to the score-sorted `pool` unless a plan at
+// least as good is within minDiff of it; worse plans within minDiff make way.
+function addCandidate(pool, cand, keep, minDiff){
+const near = pool.filter(p => seatsApart(p.seatOf, cand.seatOf) < minDiff);
+if(near.some(p => p.score <= cand.score)) return;
+const rest = pool.filter(p => !near.includes(p));
+rest.push(cand);
+rest.sort((x, y) => x.score - y.score);
+pool.splice(0, pool.length, ...rest.slice(0, keep));
+}
+
+function solve(problem, {restarts, itersPerRestart, t0, t1, seed, mode = "anneal", keep = 1, minDiff = 1, progressCb}){
+const { pupils } = problem;
+if(pupils.length === 0) throw new Error("No pupils.");
+const seats = allSeatIds(problem.room);
+if(seats.length === 0) throw new Error("No seats in map.");
+if(pupils.length > seats.length) throw new Error(`Not enough seats (${seats.length}) for pupils (${pupils.length}).`);
+
+const model = compileProblem(problem);
+const fixedSet = new Set(pupils.filter(isFixedPupil).map(p=>p.id));
+const movable = pupils.filter(p=>!fixedSet.has(p.id)).map(p=>model.pupilIndex.get(p.id));
+
+let exact = null, start = null;
+if(mode === "exact" || mode === "exact-anneal"){
+    const res = solveHard(problem, { seed, model, progressCb });
+    exact = { status: res.status, nodes: res.nodes };
+    if(mode === "exact"){
+    if(res.status !== "feasible") return { assignment: null, bestScore: null, bestHard: null, exact, ...(keep > 1 ? { candidates: [] } : {}) };
+    const sc = createScorer(model, res.assignment);
+    const out = { assignment: res.assignment, bestScore: sc.total, bestHard: sc.hardBreaks, exact };
+    return keep > 1 ? { ...out, candidates: [{ assignment: out.assignment, bestScore: out.bestScore, bestHard: out.bestHard }] } : out;
+    }
+    if(res.status === "feasible") start = res.assignment;
+}
+const keepHard = !!start;
+
+let bestGlobal = null;
+let bestScore = Infinity;
+let bestHard = Infinity;
+const pool = [];
+
+const masterRng = mulberry32(seed >>> 0);
+
+for(let r=0;r<restarts;r++){
+    const restartSeed = Math.floor(masterRng()*0xFFFFFFFF) >>> 0;
+    const rng = mulberry32(restartSeed);
+
+    const sc = createScorer(model, start || buildInitialAssignment(problem, restartSeed));
+
+    const bestLocal = Int32Array.from(sc.seatOf);
+    let bestLocalScore = sc.total;
+    let bestLocalHard = sc.hardBreaks;
+
+    const ratio = itersPerRestart>1 ? Math.pow(t1 / t0, 1/(itersPerRestart-1)) : 1;
+    let T = t0;
+
+    for(let i=0;i<itersPerRestart;i++){
+    // propose a swap between two non-fixed pupils
+    if(movable.length < 2) break;
+
+    const a = movable[Math.floor(rng()*movable.length)];
+    let b = a;
+    while(b===a) b = movable[Math.floor(rng()*movable.length)];
+
+    const delta = sc.trySwap(a, b);
+
+    let accept = false;
+    if(keepHard && sc.pendingHardBreaks() > 0) accept = false;
+    else if(delta <= 0) accept = true;
+    else {
+        const p = Math.exp(-delta / Math.max(1e-9, T));
+        accept = (rng() < p);
+    }
+
+    if(accept){
+        sc.accept();
+        if(sc.total < bestLocalScore){
+        bestLocal.set(sc.seatOf);
+        bestLocalScore = sc.total;
+        bestLocalHard = sc.hardBreaks;
+        if(bestLocalScore === 0) break;
+        }
+    } else {
+        sc.reject();
+    }
+
+    T *= ratio;
+    if(i % PROGRESS_EVERY === 0){
+        const better = bestLocalScore < bestScore;
+        progressCb?.({
+        restart: r+1, restarts, i, iters: itersPerRestart,
+        bestScore: better ? bestLocalScore : bestScore,
+        bestHard: better ? bestLocalHard : bestHard,
+        });
+    }
+    }
+
+    // keep global best
+    if(bestLocalScore < bestScore){
+    bestScore = bestLocalScore;
+    bestHard = bestLocalHard;
+    bestGlobal = sc.toAssignment(bestLocal);
+    }
+    if(keep > 1) addCandidate(pool, { seatOf: bestLocal, score: bestLocalScore, hard: bestLocalHard, assignment: sc.toAssignment(bestLocal) }, keep, minDiff);
+
+    progressCb?.({restart: r+1, restarts, bestScore, bestHard, assignment: bestGlobal});
+    if(bestScore === 0 && (keep <= 1 || (pool.length >= keep && pool.every(p => p.score === 0)))) break;
+}
+
+const out = exact ? { assignment: bestGlobal, bestScore, bestHard, exact } : { assignment: bestGlobal, bestScore, bestHard };
+if(keep > 1) out.candidates = pool.map(p => ({ assignment: p.assignment, bestScore: p.score, bestHard: p.hard }));
+return out;
+}
+
+function quickImprove(problem, {iters, t0, t1, seed, start, progressCb}){
+// One restart, starting from `start` (the current plan) if available.
+const { pupils } = problem;
+const model = compileProblem(problem);
+const fixedSet = new Set(pupils.filter(isFixedPupil).map(p=>p.id));
+
+let cur = Object.keys(start||{}).length ? {...start} : buildInitialAssignment(problem, seed);
+// ensure assignment covers all pupils (e.g., after edits)
+cur = repairAssignment(problem, cur, seed);
+
+const sc = createScorer(model, cur);
+const best = Int32Array.from(sc.seatOf);
+let bestScore = sc.total;
+let bestHard = sc.hardBreaks;
+
+const rng = mulberry32(seed >>> 0);
+const ratio = iters>1 ? Math.pow(t1/t0, 1/(iters-1)) : 1;
+let T = t0;
+
+const movable = pupils.filter(p=>!fixedSet.has(p.id)).map(p=>model.pupilIndex.get(p.id));
+for(let i=0;i<iters;i++){
+    if(movable.length < 2) break;
+    const a = movable[Math.floor(rng()*movable.length)];
+    let b=a; while(b===a) b = movable[Math.floor(rng()*movable.length)];
+
+    const delta = sc.trySwap(a, b);
+    let accept=false;
+    if(delta<=0) accept=true;
+    else accept = (rng() < Math.exp(-delta/Math.max(1e-9,T)));
+
+    if(accept){
+    sc.accept();
+    if(sc.total < bestScore){ best.set(sc.seatOf); bestScore = sc.total; bestHard = sc.hardBreaks; }
+    } else {
+    sc.reject();
+    }
+    T *= ratio;
+    if(i % 200 === 0) progressCb?.({i, iters, bestScore, hard: bestHard, assignment: sc.toAssignment(best)});
+}
+
+return { assignment: sc.toAssignment(best), bestScore, bestHard };
+}
+
+// --------- Random helpers ---------
+function mulberry32(a){
+return function(){
+    let t = a += 0x6D2B79F5;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+}
+
+function shuffleInPlace(arr, rng){
+for(let i=arr.length-1;i>0;i--){
+    const j = Math.floor(rng() * (i+1));
+    [arr[i],arr[j]] = [arr[j],arr[i]];
+}
+}
+
+// Weighted random pick (index) from an array, given a weight function.
+// Uses roulette-wheel selection; weights do not need to sum to 1.
+function weightedPickIndex(arr, weightFn, rng){
+let total = 0;
+const w = new Array(arr.length);
+for(let i=0;i<arr.length;i++){
+    const wi = Math.max(0, Number(weightFn(arr[i], i)) || 0);
+    w[i] = wi;
+    total += wi;
+}
+if(total <= 0){
+    // fall back to uniform
+    return Math.floor(rng() * arr.length);
+}
+let r = rng() * total;
+for(let i=0;i<w.length;i++){
+    r -= w[i];
+    if(r <= 0) return i;
+}
+return w.length - 1;
+}
+
+return {
+MODEL_VERSION, HARD_MULT, dist, METRICS, WALK_RULE_TYPES, walkingDistance, clamp,
+keyRC, seatIdFor, createRoom, isBlocked, isTeacher, isBoard, isSeat,
+ensureSeat, ensureBlocked, ensureTeacher, ensureBoard, ensureEmpty, resizeRoom, remapRoom,
+PAINT_KINDS, tileKind, paintTile, paintRect, insertRow, deleteRow, insertCol, deleteCol, flipRoom, copyRegion, pasteRegion,
+setSeatTable, tableNames, tableSeats, ZONE_BY, roomZones,
+SEAT_ATTRS, toggleSeatAttr, seatHasAttr, seatAttrNames,
+moveSeat, SEAT_NUMBERING, seatLabel, setSeatLabel, seatByRef, fixedSeatOf, numberSeats,
+allSeatIds, seatPosById, seatPositions, teacherTilesOf, boardTilesOf, boardView, sightBlocker,
+normalisePupils, normaliseRules, upgradeRule, normaliseSolverSettings, pupilMatches, groupLabel,
+roomToJSON, roomFromJSON, planToJSON, planFromJSON,
+makeSnapshot, normaliseHistory,
+EXAM_PATTERNS, EXAM_MAX_VERSIONS, examLayout, examRoom, examListCSV,
+LAYOUT_TEMPLATES, layoutParams, layoutTemplate,
+planToSVG,
+parseJSONDetailed, validatePupils, validateRules, RULE_FIELDS,
+analyseFeasibility, solveHard,
+detectDelimiter, parseDelimited, toDelimited, ROSTER_FIELDS, guessRosterColumns, rosterFromRows, planToCSV,
+buildInitialAssignment, repairAssignment, isFixedPupil, invertAssignment,
+rulePenalty, scoreContext, scoreAssignment, rulePupils, ruleBreakdown,
+compileProblem, createScorer,
+solve, quickImprove,
+mulberry32, shuffleInPlace, weightedPickIndex,
+};
+});
@@ -4,8 +4,10 @@
 // =====================================
 
 // --------- Utilities ---------
+// Rules engine and solver live in planner-core.js (loaded first).
+const { MODEL_VERSION, keyRC, clamp, invertAssignment } = PlannerCore;
+
 const $ = (id) => document.getElementById(id);
-const clamp = (x, a, b) => Math.max(a, Math.min(b, x));
 
 function toast(msg){
 const t = $("toast");
@@ -20,50 +22,81 @@ function stableStringify(obj){
 return JSON.stringify(obj, Object.keys(obj).sort(), 2);
 }
 
-// --------- Distance metrics ---------
-const dist = {
-manhattan: (a,b) => Math.abs(a.r-b.r) + Math.abs(a.c-b.c),
-chebyshev: (a,b) => Math.max(Math.abs(a.r-b.r), Math.abs(a.c-b.c)),
-euclidean2: (a,b) => { const dr=a.r-b.r, dc=a.c-b.c; return dr*dr + dc*dc; },
-};
-
 // --------- Model ---------
-const MODEL_VERSION = 1;
-
 const state = {
-room: {
-    rows: 8,
-    cols: 10,
-    cell: 42,
-    blocked: new Set(),
-    teacher: new Set(),
-    // seats: Map key "r,c" => seatId string
-    seats: new Map(),
-},
+room: PlannerCore.createRoom(), // see planner-core.js for the shape
 pupils: [],  // [{id, tags:[], fixed:null|{seat}|{r,c}}]
 rules: [],   // rule objects
 assignment: {}, // pupilId -> seatId
+history: [], // past plans, newest first (see PlannerCore.makeSnapshot)
 tool: "seat",
+arrangePick: null, // pupil picked up by a click in Arrange mode
+movePick: null, // "r,c" of the seat picked up by the Move tool
+paintShape: "free", // "free" | "rect" for the paint tools
+stroke: null, // paint or select drag in progress {rect, r0, c0, r1, c1}
+selection: null, // {r0, c0, r1, c1} from the Select tool
+clipboard: null, // tiles from PlannerCore.copyRegion (not saved)
+seatLabels: localStorage.getItem("seating_planner_seat_labels") !== "0", // show seat labels on the map
+chipText: localStorage.getItem("seating_planner_chip_text") || "id", // "id" | "initials" | "name"
+inspectRule: null, // rule index highlighted by the inspector
+inputErrors: 0, // errors found by validateInputs()
+candidates: [], // [{assignment, bestScore, bestHard}] from the last solve, best first (not saved)
+candidatesSig: null, // candidatesSignature() they were found for
+exam: normaliseExam(null), // exam mode settings of the open class
 };
 
-function keyRC(r,c){ return `${r},${c}`; }
-
-function seatIdFor(r,c){ return `S${String(r).padStart(2,"0")}_${String(c).padStart(2,"0")}`; }
-
 function parseJSONText(text, fallback){
 try{ return JSON.parse(text); }catch(e){ return fallback; }
 }
 
+// Everything saved lives in one library blob (see "Class / room library").
+// The single-plan key from before the library is migrated on first load.
+const LIBRARY_KEY = "seating_planner_library_v"+MODEL_VERSION;
+const LEGACY_KEY = "seating_planner_v"+MODEL_VERSION;
+let library = null;
+
 function saveLocal(){
-const payload = exportJSON();
-localStorage.setItem("seating_planner_v"+MODEL_VERSION, JSON.stringify(payload));
+const plan = exportJSON();
+const cls = library.classes[library.current];
+library.rooms[cls.roomId].room = plan.room;
+Object.assign(cls, { pupils: plan.pupils, rules: plan.rules, assignment: plan.assignment, history: plan.history, exam: state.exam });
+storeLibrary();
+recordUndo(plan);
+}
+
+// The library comes before undo history: when storage is full, the saved undo
+// stacks are dropped (the open class keeps its own in memory) and the save retried.
+function storeLibrary(){
+const text = JSON.stringify(library);
+for(let attempt=0; attempt<2; attempt++){
+    try{
+    localStorage.setItem(LIBRARY_KEY, text);
+    return true;
+    }catch(e){
+    if(attempt === 0) clearStoredUndo();
+    }
+}
+toast("Couldn't save: browser storage is full. Export JSON to keep your changes.");
+return false;
 }
 
 function loadLocal(){
-const raw = localStorage.getItem("seating_planner_v"+MODEL_VERSION);
-if(!raw) return false;
+const raw = localStorage.getItem(LIBRARY_KEY);
+const legacy = raw ? null : localStorage.getItem(LEGACY_KEY);
+try{
+    if(raw) library = normaliseLibrary(JSON.parse(raw));
+    else if(legacy) library = libraryFromPlan(JSON.parse(legacy));
+}catch(e){
+    console.warn(e);
+}
+const loaded = !!library;
+if(!loaded) library = libraryFromPlan(null);
+state.exam = library.classes[library.current].exam;
+showExamSettings();
+renderLibrary();
+if(!loaded) return false;
 try{
-    importJSON(JSON.parse(raw));
+    importJSON(classPlan(library.current));
     return true;
 }catch(e){
     console.warn(e);
@@ -72,489 +105,43 @@ try{
 }
 
 // --------- Room helpers ---------
-function isBlocked(r,c){ return state.room.blocked.has(keyRC(r,c)); }
-function isTeacher(r,c){ return state.room.teacher.has(keyRC(r,c)); }
-function isSeat(r,c){ return state.room.seats.has(keyRC(r,c)); }
+// The room model lives in the core; these act on the page's room.
+function isBlocked(r,c){ return PlannerCore.isBlocked(state.room, r, c); }
+function isTeacher(r,c){ return PlannerCore.isTeacher(state.room, r, c); }
+function isBoard(r,c){ return PlannerCore.isBoard(state.room, r, c); }
+function isSeat(r,c){ return PlannerCore.isSeat(state.room, r, c); }
 
-function ensureSeat(r,c){
-const k = keyRC(r,c);
-if(isBlocked(r,c)) state.room.blocked.delete(k);
-state.room.seats.set(k, seatIdFor(r,c));
-}
-function ensureBlocked(r,c){
-const k = keyRC(r,c);
-state.room.seats.delete(k);
-state.room.teacher.delete(k);
-state.room.blocked.add(k);
-}
-function ensureTeacher(r,c){
-const k = keyRC(r,c);
-if(isBlocked(r,c)) state.room.blocked.delete(k);
-state.room.teacher.add(k);
-}
-function ensureEmpty(r,c){
-const k = keyRC(r,c);
-state.room.seats.delete(k);
-state.room.teacher.delete(k);
-state.room.blocked.delete(k);
-}
+function ensureSeat(r,c){ PlannerCore.ensureSeat(state.room, r, c); }
+function ensureBlocked(r,c){ PlannerCore.ensureBlocked(state.room, r, c); }
 
 function allSeatIds(){
-return Array.from(state.room.seats.values());
+return PlannerCore.allSeatIds(state.room);
 }
 
-function seatPosById(seatId){
-// seatId format: Srr_cc
-const m = /^S(\d{2})_(\d{2})$/.exec(seatId);
-if(!m) return null;
-return {r: parseInt(m[1],10), c: parseInt(m[2],10)};
+// --------- Core bindings ---------
+// The core works on plain data; this is the page state in that shape.
+// In exam mode only the exam seats exist as far as the solver and checks go.
+function currentProblem(){
+const room = state.exam.on ? currentExam().room : state.room;
+return { room, pupils: getPupils(), rules: getRules(), history: state.history };
 }
 
-// --------- Assignment ---------
 function buildInitialAssignment(seed){
-const rng = mulberry32(seed >>> 0);
-const pupils = getPupils();
-const seats = allSeatIds();
-
-// fixed placements
-const used = new Set();
-const assign = {};
-
-// helper: fixed rc -> seat id
-function rcToSeatId(r,c){
-    const k = keyRC(r,c);
-    if(!state.room.seats.has(k)) throw new Error(`fixed r,c (${r},${c}) is not a seat`);
-    return state.room.seats.get(k);
-}
-
-for(const p of pupils){
-    if(p.fixed && p.fixed.seat){
-    const sid = p.fixed.seat;
-    if(!seats.includes(sid)) throw new Error(`fixed seat ${sid} not in map`);
-    if(used.has(sid)) throw new Error(`seat ${sid} fixed twice`);
-    assign[p.id]=sid; used.add(sid);
-    } else if(p.fixed && ("r" in p.fixed) && ("c" in p.fixed)){
-    const sid = rcToSeatId(p.fixed.r, p.fixed.c);
-    if(used.has(sid)) throw new Error(`seat ${sid} fixed twice`);
-    assign[p.id]=sid; used.add(sid);
-    }
-}
-
-// remaining seats
-const free = seats.filter(s=>!used.has(s));
-
-// Split pupils:
-//  - tagged pupils (any tags) are placed first (uniform random over remaining seats)
-//  - then all other pupils are placed with a FRONT-BIASED random (more likely near the top/front)
-const remainingPupils = pupils.filter(p=>!assign[p.id]);
-const tagged = remainingPupils.filter(p => Array.isArray(p.tags) && p.tags.length>0).map(p=>p.id);
-const untagged = remainingPupils.filter(p => !(Array.isArray(p.tags) && p.tags.length>0)).map(p=>p.id);
-
-if((tagged.length + untagged.length) > free.length){
-    throw new Error(`Not enough seats (${seats.length}) for pupils (${pupils.length})`);
-}
-
-// 1) Place tagged pupils (uniform random)
-shuffleInPlace(free, rng);
-let idx = 0;
-for(const pid of tagged){
-    assign[pid] = free[idx++];
-}
-
-// 2) Place untagged pupils (front-to-back flood fill)
-// Classroom-style fill: after priority placements, fill the remaining seats
-// starting from the front row (row 0) moving backwards.
-// Optional: keep a little randomness *within the same row* so it doesn't look too artificial.
-
-const free2 = free.slice(idx);
-
-// Sort seats by row asc (front->back), then col asc (left->right)
-free2.sort((sa, sb) => {
-    const a = seatPosById(sa);
-    const b = seatPosById(sb);
-    if(!a && !b) return 0;
-    if(!a) return 1;
-    if(!b) return -1;
-    if(a.r !== b.r) return a.r - b.r;
-    return a.c - b.c;
-});
-
-// Mild within-row shuffle toggle (set to 0 for strict left-to-right)
-const WITHIN_ROW_SHUFFLE = 1;
-
-if(WITHIN_ROW_SHUFFLE){
-    // Group seats by row, shuffle each row block to mimic "fill tables" feel
-    let i0 = 0;
-    while(i0 < free2.length){
-    const p0 = seatPosById(free2[i0]);
-    let i1 = i0 + 1;
-    while(i1 < free2.length){
-        const p1 = seatPosById(free2[i1]);
-        if(!p0 || !p1 || p1.r !== p0.r) break;
-        i1++;
-    }
-    // shuffle [i0, i1)
-    const slice = free2.slice(i0, i1);
-    shuffleInPlace(slice, rng);
-    for(let k=0;k<slice.length;k++) free2[i0+k] = slice[k];
-    i0 = i1;
-    }
-}
-
-// Assign sequentially (flood fill)
-for(let i=0; i<untagged.length; i++){
-    assign[untagged[i]] = free2[i];
-}
-
-return assign;
-}
-
-function isFixedPupil(p){
-return !!(p.fixed && (p.fixed.seat || ("r" in p.fixed)));
-}
-
-function invertAssignment(assign){
-const inv = {};
-for(const [pid,sid] of Object.entries(assign)) inv[sid]=pid;
-return inv;
-}
-
-// --------- Constraints / rules engine ---------
-const HARD_MULT = 1_000_000;
-
-function rulePenalty(rule, assign, pupilsById, teacherTiles){
-const type = rule.type;
-const hard = !!rule.hard;
-const weight = Math.max(1, rule.weight|0);
-
-function posOf(pid){
-    const sid = assign[pid];
-    if(!sid) return null;
-    return seatPosById(sid);
-}
-
-let p = 0;
-
-if(type === "MinDistance"){
-    const a=rule.a, b=rule.b, dNeed=rule.d|0, metric=rule.metric||"manhattan";
-    const pa=posOf(a), pb=posOf(b);
-    if(!pa||!pb) p=0;
-    else{
-    const d = dist[metric](pa,pb);
-    p = d>=dNeed ? 0 : (dNeed - d);
-    }
-}
-else if(type === "MaxDistance"){
-    const a=rule.a, b=rule.b, dMax=rule.d|0, metric=rule.metric||"manhattan";
-    const pa=posOf(a), pb=posOf(b);
-    if(!pa||!pb) p=0;
-    else{
-    const d = dist[metric](pa,pb);
-    p = d<=dMax ? 0 : (d - dMax);
-    }
-}
-else if(type === "NotAdjacent"){
-    const a=rule.a, b=rule.b;
-    const pa=posOf(a), pb=posOf(b);
-    if(!pa||!pb) p=0;
-    else p = dist.chebyshev(pa,pb) >= 2 ? 0 : 1;
-}
-else if(type === "PreferFront"){
-    // Soft: prefer in first k rows (front=top)
-    const pid=rule.pupil_id, k=rule.k|0;
-    const pp=posOf(pid);
-    if(!pp) p=0;
-    else p = (pp.r < k) ? 0 : 1;
-}
-else if(type === "PreferAwayFromTeacher"){
-    const pid=rule.pupil_id, minD=rule.min_d|0, metric=rule.metric||"manhattan";
-    const pp=posOf(pid);
-    if(!pp || teacherTiles.length===0) p=0;
-    else{
-    let best = Infinity;
-    for(const t of teacherTiles){
-        best = Math.min(best, dist[metric](pp, t));
-    }
-    p = best >= minD ? 0 : (minD - best);
-    }
-}
-else if(type === "MustBeInRows"){
-    const pid=rule.pupil_id, rMin=rule.r_min|0, rMax=rule.r_max|0;
-    const pp=posOf(pid);
-    if(!pp) p=0;
-    else p = (pp.r>=rMin && pp.r<=rMax) ? 0 : 1;
-}
-else if(type === "MustBeInSeats"){
-    const pid=rule.pupil_id;
-    const allowed = new Set(rule.allowed_seat_ids||[]);
-    const sid = assign[pid];
-    if(!sid) p=0;
-    else p = allowed.has(sid) ? 0 : 1;
-}
-else if(type === "TagSeparation"){
-    const tag = rule.tag;
-    const minD = rule.min_d|0;
-    const metric = rule.metric||"manhattan";
-    const tagged = [];
-    for(const p0 of Object.values(pupilsById)){
-    if((p0.tags||[]).includes(tag) && assign[p0.id]) tagged.push(p0.id);
-    }
-    let pen = 0;
-    for(let i=0;i<tagged.length;i++){
-    for(let j=i+1;j<tagged.length;j++){
-        const pa=posOf(tagged[i]);
-        const pb=posOf(tagged[j]);
-        if(!pa||!pb) continue;
-        const d = dist[metric](pa,pb);
-        if(d < minD) pen += (minD - d);
-    }
-    }
-    p = pen;
-}
-else {
-    // Unknown rule type => ignore (safe)
-    p = 0;
-}
-
-if(p<=0) return 0;
-return hard ? (p * HARD_MULT) : (p * weight);
-}
-
-function scoreAssignment(assign){
-const pupils = getPupils();
-const pupilsById = Object.fromEntries(pupils.map(p=>[p.id,p]));
-
-const teacherTiles = Array.from(state.room.teacher).map(k=>{
-    const [r,c]=k.split(",").map(Number);
-    return {r,c};
-});
-
-let total = 0;
-let hardBreaks = 0;
-for(const rule of getRules()){
-    const rawType = rule.type;
-    const pen = rulePenalty(rule, assign, pupilsById, teacherTiles);
-    total += pen;
-    if(pen>=HARD_MULT && rule.hard) hardBreaks += 1;
-    // (Note: hardBreaks counts rule objects violated, not magnitude)
-}
-return { total, hardBreaks };
-}
-
-// --------- Solver (Simulated Annealing + restarts) ---------
-
-function solve({restarts, itersPerRestart, t0, t1, seed, progressCb}){
-const pupils = getPupils();
-if(pupils.length === 0) throw new Error("No pupils.");
-const seats = allSeatIds();
-if(seats.length === 0) throw new Error("No seats in map.");
-if(pupils.length > seats.length) throw new Error(`Not enough seats (${seats.length}) for pupils (${pupils.length}).`);
-
-const fixedSet = new Set(pupils.filter(isFixedPupil).map(p=>p.id));
-
-let bestGlobal = null;
-let bestScore = Infinity;
-let bestHard = Infinity;
-
-const masterRng = mulberry32(seed >>> 0);
-
-for(let r=0;r<restarts;r++){
-    const restartSeed = Math.floor(masterRng()*0xFFFFFFFF) >>> 0;
-    const rng = mulberry32(restartSeed);
-
-    let cur = buildInitialAssignment(restartSeed);
-    let curSc = scoreAssignment(cur);
-
-    let bestLocal = cur;
-    let bestLocalSc = curSc;
-
-    const ratio = itersPerRestart>1 ? Math.pow(t1 / t0, 1/(itersPerRestart-1)) : 1;
-    let T = t0;
-
-    for(let i=0;i<itersPerRestart;i++){
-    // propose a swap between two non-fixed pupils
-    const movable = pupils.filter(p=>!fixedSet.has(p.id)).map(p=>p.id);
-    if(movable.length < 2) break;
-
-    const a = movable[Math.floor(rng()*movable.length)];
-    let b = a;
-    while(b===a) b = movable[Math.floor(rng()*movable.length)];
-
-    const next = {...cur};
-    const sa = next[a], sb = next[b];
-    next[a] = sb; next[b] = sa;
-
-    const nextSc = scoreAssignment(next);
-    const delta = nextSc.total - curSc.total;
-
-    let accept = false;
-    if(delta <= 0) accept = true;
-    else {
-        const p = Math.exp(-delta / Math.max(1e-9, T));
-        accept = (rng() < p);
-    }
-
-    if(accept){
-        cur = next;
-        curSc = nextSc;
-        if(curSc.total < bestLocalSc.total){
-        bestLocal = cur;
-        bestLocalSc = curSc;
-        if(bestLocalSc.total === 0) break;
-        }
-    }
-
-    T *= ratio;
-    }
-
-    // keep global best
-    if(bestLocalSc.total < bestScore){
-    bestScore = bestLocalSc.total;
-    bestHard = bestLocalSc.hardBreaks;
-    bestGlobal = bestLocal;
-    }
-
-    progressCb?.({restart: r+1, restarts, bestScore, bestHard});
-    if(bestScore === 0) break;
-}
-
-return { assignment: bestGlobal, bestScore, bestHard };
-}
-
-function quickImprove({iters, t0, t1, seed, progressCb}){
-// One restart, starting from current assignment if available.
-const pupils = getPupils();
-const fixedSet = new Set(pupils.filter(isFixedPupil).map(p=>p.id));
-
-let cur = Object.keys(state.assignment||{}).length ? {...state.assignment} : buildInitialAssignment(seed);
-// ensure assignment covers all pupils (e.g., after edits)
-cur = repairAssignment(cur, seed);
-
-let curSc = scoreAssignment(cur);
-let best = cur;
-let bestSc = curSc;
-
-const rng = mulberry32(seed >>> 0);
-const ratio = iters>1 ? Math.pow(t1/t0, 1/(iters-1)) : 1;
-let T = t0;
-
-const movable = pupils.filter(p=>!fixedSet.has(p.id)).map(p=>p.id);
-for(let i=0;i<iters;i++){
-    if(movable.length < 2) break;
-    const a = movable[Math.floor(rng()*movable.length)];
-    let b=a; while(b===a) b = movable[Math.floor(rng()*movable.length)];
-
-    const next = {...cur};
-    const sa=next[a], sb=next[b];
-    next[a]=sb; next[b]=sa;
-
-    const nextSc = scoreAssignment(next);
-    const delta = nextSc.total - curSc.total;
-    let accept=false;
-    if(delta<=0) accept=true;
-    else accept = (rng() < Math.exp(-delta/Math.max(1e-9,T)));
-
-    if(accept){
-    cur = next; curSc = nextSc;
-    if(curSc.total < bestSc.total){ best = cur; bestSc = curSc; }
-    }
-    T *= ratio;
-    if(i % 200 === 0) progressCb?.({i, iters, bestScore: bestSc.total, hard: bestSc.hardBreaks});
-}
-
-return { assignment: best, bestScore: bestSc.total, bestHard: bestSc.hardBreaks };
+return PlannerCore.buildInitialAssignment(currentProblem(), seed);
 }
 
 function repairAssignment(assign, seed){
-// Ensure all pupils have seats and no duplicates; respects fixed.
-const rng = mulberry32(seed >>> 0);
-const pupils = getPupils();
-const seats = allSeatIds();
-
-const used = new Set();
-const fixed = new Map();
-
-// apply fixed
-for(const p of pupils){
-    if(p.fixed?.seat){ fixed.set(p.id, p.fixed.seat); }
-    else if(p.fixed && ("r" in p.fixed) && ("c" in p.fixed)){
-    const k = keyRC(p.fixed.r, p.fixed.c);
-    if(!state.room.seats.has(k)) throw new Error(`fixed r,c (${p.fixed.r},${p.fixed.c}) is not a seat`);
-    fixed.set(p.id, state.room.seats.get(k));
-    }
-}
-
-// clear duplicates & invalid seats
-const clean = {};
-for(const p of pupils){
-    const pid = p.id;
-    if(fixed.has(pid)){
-    const sid = fixed.get(pid);
-    if(used.has(sid)) throw new Error(`seat ${sid} fixed twice`);
-    clean[pid]=sid; used.add(sid);
-    } else {
-    const sid = assign[pid];
-    if(sid && seats.includes(sid) && !used.has(sid)){
-        clean[pid]=sid; used.add(sid);
-    }
-    }
+return PlannerCore.repairAssignment(currentProblem(), assign, seed);
 }
 
-// fill rest
-const free = seats.filter(s=>!used.has(s));
-shuffleInPlace(free, rng);
-let idx=0;
-for(const p of pupils){
-    if(clean[p.id]) continue;
-    if(idx>=free.length) throw new Error("Not enough seats to repair assignment");
-    clean[p.id]=free[idx++];
-}
-
-return clean;
-}
-
-// --------- Random helpers ---------
-function mulberry32(a){
-return function(){
-    let t = a += 0x6D2B79F5;
-    t = Math.imul(t ^ (t >>> 15), t | 1);
-    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-};
-}
-
-function shuffleInPlace(arr, rng){
-for(let i=arr.length-1;i>0;i--){
-    const j = Math.floor(rng() * (i+1));
-    [arr[i],arr[j]] = [arr[j],arr[i]];
-}
-}
-
-// Weighted random pick (index) from an array, given a weight function.
-// Uses roulette-wheel selection; weights do not need to sum to 1.
-function weightedPickIndex(arr, weightFn, rng){
-let total = 0;
-const w = new Array(arr.length);
-for(let i=0;i<arr.length;i++){
-    const wi = Math.max(0, Number(weightFn(arr[i], i)) || 0);
-    w[i] = wi;
-    total += wi;
-}
-if(total <= 0){
-    // fall back to uniform
-    return Math.floor(rng() * arr.length);
-}
-let r = rng() * total;
-for(let i=0;i<w.length;i++){
-    r -= w[i];
-    if(r <= 0) return i;
-}
-return w.length - 1;
+function scoreAssignment(assign){
+return PlannerCore.scoreAssignment(currentProblem(), assign);
 }
 
 // --------- UI binding ---------
 function setTool(tool){
 state.tool = tool;
+state.stroke = null;
 for(const btn of document.querySelectorAll(".toolBtn")){
     const on = btn.dataset.tool === tool;
     btn.setAttribute("aria-pressed", on ? "true" : "false");
@@ -568,6 +155,13 @@ map.style.setProperty("--cell", state.room.cell + "px");
 map.innerHTML = "";
 
 const inv = invertAssignment(state.assignment||{});
+const pupils = getPupils();
+const pupilsById = new Map(pupils.map(p=>[p.id,p]));
+const locked = new Set(pupils.filter(PlannerCore.isFixedPupil).map(p=>p.id));
+const arranging = state.tool === "arrange";
+const exam = state.exam.on ? currentExam() : null;
+map.classList.toggle("arrange", arranging);
+map.classList.toggle("painting", isPaintTool(state.tool) || state.tool === "select");
 
 for(let r=0;r<state.room.rows;r++){
     for(let c=0;c<state.room.cols;c++){
@@ -581,24 +175,55 @@ for(let r=0;r<state.room.rows;r++){
 
     if(isBlocked(r,c)) cell.classList.add("blocked");
     if(isTeacher(r,c)) cell.classList.add("teacher");
+    if(isBoard(r,c)) cell.classList.add("board");
     if(isSeat(r,c)) cell.classList.add("seat");
+    if(state.movePick === k) cell.classList.add("movePick");
+    if(inBox(state.selection, r, c)) cell.classList.add("sel");
+    // badge: candidate number in exam mode, otherwise the seat's label
+    const es = exam?.bySeat.get(seatId);
+    if(exam && seatId != null && !es) cell.classList.add("examOff");
+    const label = state.seatLabels ? state.room.seatLabels.get(seatId) : null;
+    if(es || label != null){
+        const b = document.createElement("div");
+        b.className = "badge";
+        b.textContent = es ? `${es.number}${es.version}` : label;
+        b.title = es ? `Candidate ${es.number}, paper ${es.version}` : `Seat ${label} (${seatId})`;
+        cell.appendChild(b);
+    }
+    const table = seatId != null ? state.room.tables.get(seatId) : null;
+    if(table != null){
+        cell.classList.add("inTable");
+        cell.dataset.table = table;
+        cell.style.setProperty("--table-hue", String(tableHue(table)));
+    }
 
-    // badge label
     if(isSeat(r,c)){
-    //   const b = document.createElement("div");
-    //   b.className = "badge";
-    //   b.textContent = seatId.replace(/^S/,"");
-    //   cell.appendChild(b);
-
         const occ = inv[seatId];
         if(occ){
         const o = document.createElement("div");
         o.className = "occ";
-        o.textContent = occ;
+        const p = pupilsById.get(occ);
+        o.textContent = p ? chipText(p) : occ;
+        o.title = p?.name ? `${p.name} (${occ})` : occ;
+        if(locked.has(occ)) o.classList.add("locked");
+        if(state.arrangePick === occ) o.classList.add("picked");
+        if(arranging) bindArrangeChip(o, cell, occ, locked.has(occ));
         cell.appendChild(o);
         }
+        if(arranging) bindArrangeDrop(cell, seatId);
+        const attrs = state.room.seatAttrs.get(seatId);
+        if(attrs){
+        const icons = document.createElement("span");
+        icons.className = "seatAttrs";
+        icons.textContent = attrs.map(seatAttrIcon).join("");
+        cell.title = attrs.join(", ");
+        cell.appendChild(icons);
+        }
     } else if(isTeacher(r,c)){
         cell.textContent = "T";
+    } else if(isBoard(r,c)){
+        cell.textContent = "B";
+        cell.title = "Board";
     } else if(isBlocked(r,c)){
         cell.textContent = "";
     } else {
@@ -610,18 +235,154 @@ for(let r=0;r<state.room.rows;r++){
     }
 }
 
+drawTableOutlines();
+renderSeatAttrList();
+renderExamInfo();
 updateKPIs();
 }
 
+// --------- Tables ---------
+function tableHue(name){
+let h = 0;
+for(const ch of String(name)) h = (h * 31 + ch.codePointAt(0)) >>> 0;
+return (h * 47) % 360;
+}
+
+function onTableClick(r,c){
+const seatId = state.room.seats.get(keyRC(r,c));
+if(!seatId){ toast("Only seats can join a table"); return; }
+const name = $("inpTableName").value.trim() || "T1";
+const cur = state.room.tables.get(seatId);
+PlannerCore.setSeatTable(state.room, seatId, cur === name ? null : name);
+rebuildMap();
+saveLocal();
+}
+
+// Rounded outline + name around each table's seats.
+function drawTableOutlines(){
+const map = $("map");
+map.querySelector(".tableOverlay")?.remove();
+const groups = PlannerCore.tableSeats(state.room);
+if(groups.size === 0) return;
+
+const NS = "http://www.w3.org/2000/svg";
+const svg = document.createElementNS(NS, "svg");
+svg.setAttribute("class", "tableOverlay");
+svg.setAttribute("width", String(map.scrollWidth));
+svg.setAttribute("height", String(map.scrollHeight));
+const byId = new Map(Array.from(state.room.seats, ([k,sid]) => [sid, k]));
+const PAD = 4;
+for(const [name, seatIds] of groups){
+    let x0=Infinity, y0=Infinity, x1=-Infinity, y1=-Infinity;
+    for(const sid of seatIds){
+    const [r,c] = (byId.get(sid)||"").split(",").map(Number);
+    const el = cellAt(r,c);
+    if(!el) continue;
+    x0 = Math.min(x0, el.offsetLeft); y0 = Math.min(y0, el.offsetTop);
+    x1 = Math.max(x1, el.offsetLeft + el.offsetWidth); y1 = Math.max(y1, el.offsetTop + el.offsetHeight);
+    }
+    if(x0 === Infinity) continue;
+    const rect = document.createElementNS(NS, "rect");
+    rect.setAttribute("x", String(x0-PAD)); rect.setAttribute("y", String(y0-PAD));
+    rect.setAttribute("width", String(x1-x0+2*PAD)); rect.setAttribute("height", String(y1-y0+2*PAD));
+    rect.setAttribute("rx", "16");
+    rect.style.setProperty("--table-hue", String(tableHue(name)));
+    const label = document.createElementNS(NS, "text");
+    label.setAttribute("x", String(x0)); label.setAttribute("y", String(y0-PAD-2));
+    label.textContent = name;
+    svg.append(rect, label);
+}
+map.appendChild(svg);
+}
+
+// --------- Seat attributes ---------
+const SEAT_ATTR_ICONS = { window: "🪟", door: "🚪", accessible: "♿", board: "📋", power: "🔌" };
+
+function seatAttrIcon(attr){
+return SEAT_ATTR_ICONS[attr] || attr.slice(0,1).toUpperCase();
+}
+
+function onSeatAttrClick(r,c){
+const seatId = state.room.seats.get(keyRC(r,c));
+if(!seatId){ toast("Only seats have attributes"); return; }
+const attr = $("inpSeatAttr").value.trim().toLowerCase();
+if(!attr){ toast("Name the attribute first"); return; }
+PlannerCore.toggleSeatAttr(state.room, seatId, attr);
+rebuildMap();
+saveLocal();
+}
+
+function renderSeatAttrList(){
+const list = $("dlSeatAttrs");
+list.innerHTML = "";
+for(const a of new Set([...PlannerCore.SEAT_ATTRS, ...PlannerCore.seatAttrNames(state.room)])) list.appendChild(new Option(a, a));
+}
+
+// --------- Seat labels ---------
+// Labels are what the class calls a seat; rules and fixed seats can use them
+// instead of ids. The Move tool carries a seat (id, label, table, attributes) to
+// another tile, so nothing that names it breaks.
+function onLabelClick(r,c){
+const seatId = state.room.seats.get(keyRC(r,c));
+if(!seatId){ toast("Only seats have labels"); return; }
+const label = prompt(`Label for seat ${seatId} (empty to clear):`, state.room.seatLabels.get(seatId) || "");
+if(label == null) return;
+const other = PlannerCore.seatByRef(state.room, label.trim());
+if(label.trim() && other && other !== seatId){ toast(`${label.trim()} already names seat ${other}`); return; }
+PlannerCore.setSeatLabel(state.room, seatId, label);
+rebuildMap();
+saveLocal();
+}
+
+function onMoveSeatClick(r,c){
+const k = keyRC(r,c);
+if(state.movePick == null || state.movePick === k){
+    if(!isSeat(r,c)){ toast("Pick a seat to move"); return; }
+    state.movePick = state.movePick === k ? null : k;
+    rebuildMap();
+    return;
+}
+if(isSeat(r,c)){ state.movePick = k; rebuildMap(); return; }
+try{
+    const sid = PlannerCore.moveSeat(state.room, state.movePick, k);
+    toast(`Moved seat ${PlannerCore.seatLabel(state.room, sid)}`);
+}catch(err){
+    toast(String(err.message||err));
+    return;
+}
+state.movePick = null;
+rebuildMap();
+saveLocal();
+}
+
+function numberSeats(){
+const scheme = $("selNumbering").value;
+if(scheme === "clear") state.room.seatLabels = new Map();
+else PlannerCore.numberSeats(state.room, scheme);
+state.seatLabels = true;
+localStorage.setItem("seating_planner_seat_labels", "1");
+$("chkSeatLabels").checked = true;
+rebuildMap();
+saveLocal();
+toast(scheme === "clear" ? "Seat labels cleared" : "Seats numbered");
+}
+
 function onCellClick(e){
 const r = parseInt(e.currentTarget.dataset.r,10);
 const c = parseInt(e.currentTarget.dataset.c,10);
 
-if(state.tool === "seat") ensureSeat(r,c);
-else if(state.tool === "blocked") ensureBlocked(r,c);
-else if(state.tool === "teacher") ensureTeacher(r,c);
-else ensureEmpty(r,c);
+if(state.tool === "select"){ state.selection = { r0: r, c0: c, r1: r, c1: c }; showBox(state.selection); return; }
+if(state.tool === "arrange"){ onArrangeClick(r,c); return; }
+if(state.tool === "table"){ onTableClick(r,c); return; }
+if(state.tool === "seatattr"){ onSeatAttrClick(r,c); return; }
+if(state.tool === "label"){ onLabelClick(r,c); return; }
+if(state.tool === "moveseat"){ onMoveSeatClick(r,c); return; }
 
+PlannerCore.paintTile(state.room, state.tool, r, c);
+afterMapChange();
+}
+
+function afterMapChange(){
 // After map change, repair assignment so it's always valid
 try{
     state.assignment = repairAssignment(state.assignment||{}, Number($("inpSeed").value||12345));
@@ -635,42 +396,512 @@ rebuildMap();
 saveLocal();
 }
 
+// --------- Painting ---------
+// Paint tools work in strokes: press on a tile and drag. "Freehand" paints every
+// tile the pointer crosses, "Rectangle" fills the box between press and release.
+// The Select tool drags out a box for copy/paste and the row and column edits.
+// A stroke is one map change: one repair of the plan, one undo step.
+function isPaintTool(tool){ return PlannerCore.PAINT_KINDS.includes(tool); }
+
+function inBox(b, r, c){
+return !!b && r >= Math.min(b.r0,b.r1) && r <= Math.max(b.r0,b.r1) && c >= Math.min(b.c0,b.c1) && c <= Math.max(b.c0,b.c1);
+}
+
+// Marks the box on the current cells without rebuilding the map.
+function showBox(b){
+for(const el of $("map").querySelectorAll(".cell")) el.classList.toggle("sel", inBox(b, +el.dataset.r, +el.dataset.c));
+}
+
+// Shows a freehand-painted tile on its current cell, also without a rebuild: the
+// full redraw and the plan repair wait for afterMapChange() at the end of the stroke.
+function showPainted(r, c){
+const cell = $("map").querySelector(`.cell[data-r="${r}"][data-c="${c}"]`);
+if(!cell) return;
+const kinds = { seat: isSeat(r,c), blocked: isBlocked(r,c), teacher: isTeacher(r,c), board: isBoard(r,c) };
+if(Object.entries(kinds).every(([k, on]) => cell.classList.contains(k) === on)) return;
+for(const [k, on] of Object.entries(kinds)) cell.classList.toggle(k, on);
+cell.classList.remove("inTable", "examOff");
+cell.removeAttribute("title");
+cell.textContent = kinds.teacher ? "T" : kinds.board ? "B" : "";
+}
+
+// The tile under the pointer; touch keeps sending events to the first tile, so ask by position.
+function cellFromPoint(e){
+const el = (document.elementFromPoint && document.elementFromPoint(e.clientX, e.clientY)) || e.target;
+const cell = el?.closest?.(".cell");
+return cell && $("map").contains(cell) ? { r: +cell.dataset.r, c: +cell.dataset.c } : null;
+}
+
+// Tiles on the straight line from a to b, so a quick drag leaves no gaps.
+function tilesBetween(a, b){
+const n = Math.max(Math.abs(b.r-a.r), Math.abs(b.c-a.c));
+return Array.from({ length: n }, (_, i) => ({ r: Math.round(a.r + (b.r-a.r)*(i+1)/n), c: Math.round(a.c + (b.c-a.c)*(i+1)/n) }));
+}
+
+function onMapPointerDown(e){
+if(!(isPaintTool(state.tool) || state.tool === "select") || e.button > 0) return;
+const cell = e.target.closest?.(".cell");
+if(!cell) return;
+e.preventDefault();
+const r = +cell.dataset.r, c = +cell.dataset.c;
+const rect = state.tool === "select" || state.paintShape === "rect";
+state.stroke = { rect, r0: r, c0: c, r1: r, c1: c };
+if(rect) showBox(state.stroke);
+else { PlannerCore.paintTile(state.room, state.tool, r, c); showPainted(r, c); }
+}
+
+function onMapPointerMove(e){
+const st = state.stroke;
+if(!st) return;
+const at = cellFromPoint(e);
+if(!at || (at.r === st.r1 && at.c === st.c1)) return;
+if(!st.rect){
+    for(const t of tilesBetween({ r: st.r1, c: st.c1 }, at)){
+    PlannerCore.paintTile(state.room, state.tool, t.r, t.c);
+    showPainted(t.r, t.c);
+    }
+}
+st.r1 = at.r; st.c1 = at.c;
+if(st.rect) showBox(st);
+}
+
+// The click that follows the release would repeat the stroke's work on one tile,
+// so it is stopped before it reaches the tiles. The map may have been rebuilt under
+// the pointer, in which case no click comes at all: the guard only lasts this task.
+function swallowClick(){
+const stop = (e) => { e.stopPropagation(); e.preventDefault(); };
+window.addEventListener("click", stop, { capture: true, once: true });
+setTimeout(() => window.removeEventListener("click", stop, { capture: true }), 0);
+}
+
+function onMapPointerUp(e){
+const st = state.stroke;
+if(!st) return;
+state.stroke = null;
+if(e.type === "pointerup") swallowClick();
+if(state.tool === "select"){
+    state.selection = { r0: st.r0, c0: st.c0, r1: st.r1, c1: st.c1 };
+    showBox(state.selection);
+    return;
+}
+if(st.rect) PlannerCore.paintRect(state.room, state.tool, st.r0, st.c0, st.r1, st.c1);
+afterMapChange();
+}
+
+// Row, column and flip edits. Pupils fixed by row and column move with their tile
+// (and lose the lock when it is deleted); everything else follows the seat ids.
+function editRoom(edit, msg){
+let maps;
+try{ maps = [].concat(edit(state.room)); }
+catch(err){ toast(String(err.message||err)); return; }
+const pupils = getPupils();
+const unfixed = [];
+for(const p of pupils){
+    if(!p.fixed || p.fixed.seat || !("r" in p.fixed)) continue;
+    let pos = [p.fixed.r, p.fixed.c];
+    for(const to of maps) pos = pos && to(pos[0], pos[1]);
+    if(pos) p.fixed = { r: pos[0], c: pos[1] };
+    else { p.fixed = null; unfixed.push(p.id); }
+}
+if(maps.length) setPupilsText(pupils);
+state.selection = null;
+state.movePick = null;
+$("inpRows").value = String(state.room.rows);
+$("inpCols").value = String(state.room.cols);
+afterMapChange();
+toast(unfixed.length ? `${msg}; unlocked ${unfixed.join(", ")}` : msg);
+}
+
+function selectionBounds(){
+const b = state.selection;
+if(!b){ toast("Select tiles first (Select tool)"); return null; }
+return { top: Math.min(b.r0,b.r1), bottom: Math.max(b.r0,b.r1), left: Math.min(b.c0,b.c1), right: Math.max(b.c0,b.c1) };
+}
+
+function insertRows(){
+const b = selectionBounds();
+if(b) editRoom(room => PlannerCore.insertRow(room, b.top), `Row inserted above row ${b.top}`);
+}
+function deleteRows(){
+const b = selectionBounds();
+if(!b) return;
+// bottom up, so the rows still to go keep their numbers
+editRoom(room => { const maps = []; for(let r=b.bottom; r>=b.top; r--) maps.push(PlannerCore.deleteRow(room, r)); return maps; },
+    b.top === b.bottom ? `Row ${b.top} deleted` : `Rows ${b.top}–${b.bottom} deleted`);
+}
+function insertCols(){
+const b = selectionBounds();
+if(b) editRoom(room => PlannerCore.insertCol(room, b.left), `Column inserted left of column ${b.left}`);
+}
+function deleteCols(){
+const b = selectionBounds();
+if(!b) return;
+editRoom(room => { const maps = []; for(let c=b.right; c>=b.left; c--) maps.push(PlannerCore.deleteCol(room, c)); return maps; },
+    b.left === b.right ? `Column ${b.left} deleted` : `Columns ${b.left}–${b.right} deleted`);
+}
+
+function copyTiles(){
+const b = selectionBounds();
+if(!b) return;
+state.clipboard = PlannerCore.copyRegion(state.room, b.top, b.left, b.bottom, b.right);
+$("btnPasteTiles").disabled = false;
+toast(`Copied ${state.clipboard.rows}×${state.clipboard.cols} tiles`);
+}
+function pasteTiles(){
+const b = selectionBounds();
+if(!b || !state.clipboard) return;
+const n = PlannerCore.pasteRegion(state.room, state.clipboard, b.top, b.left);
+state.selection = { r0: b.top, c0: b.left, r1: Math.min(state.room.rows, b.top + state.clipboard.rows) - 1, c1: Math.min(state.room.cols, b.left + state.clipboard.cols) - 1 };
+afterMapChange();
+toast(`Pasted ${n} tiles`);
+}
+
+// What a pupil chip shows, per the map's "Show" toggle.
+function chipText(p){
+if(state.chipText === "name") return p.name || p.id;
+if(state.chipText === "initials") return p.label || initialsOf(p.name) || p.id;
+return p.id;
+}
+
+function initialsOf(name){
+if(!name) return "";
+return name.trim().split(/\s+/).map(w=>w[0].toUpperCase()).join("").slice(0,3);
+}
+
+// --------- Arrange mode ---------
+// Manual seating: drag a pupil chip onto another seat (or click one pupil, then
+// a seat) to move or swap. Locked pupils have `fixed: {seat}` and stay put, in
+// here and in the solver.
+function bindArrangeChip(o, cell, pid, isLocked){
+o.draggable = !isLocked;
+o.dataset.pid = pid;
+o.addEventListener("dragstart", (e) => {
+    e.dataTransfer.setData("text/plain", pid);
+    e.dataTransfer.effectAllowed = "move";
+    state.arrangePick = pid;
+});
+o.addEventListener("dragend", () => { state.arrangePick = null; updateKPIs(); });
+
+const lock = document.createElement("button");
+lock.className = "lockBtn";
+lock.type = "button";
+lock.textContent = isLocked ? "🔒" : "🔓";
+lock.title = isLocked ? `Unlock ${pid}` : `Lock ${pid} to this seat`;
+lock.setAttribute("aria-pressed", isLocked ? "true" : "false");
+lock.addEventListener("click", (e) => { e.stopPropagation(); togglePupilLock(pid); });
+cell.appendChild(lock);
+}
+
+function bindArrangeDrop(cell, seatId){
+cell.addEventListener("dragover", (e) => { e.preventDefault(); e.dataTransfer.dropEffect = "move"; });
+cell.addEventListener("dragenter", () => {
+    const pid = state.arrangePick;
+    if(!pid) return;
+    const next = arrangedAssignment(pid, seatId);
+    if(!next) return;
+    const cur = scoreAssignment(state.assignment);
+    const sc = scoreAssignment(next);
+    const d = sc.total - cur.total;
+    updateKPIs(`Drop ${pid} here: score ${sc.total} (${d>0?"+":""}${d}) · hard ${sc.hardBreaks}`);
+});
+cell.addEventListener("drop", (e) => {
+    e.preventDefault();
+    const pid = e.dataTransfer.getData("text/plain") || state.arrangePick;
+    state.arrangePick = null;
+    if(pid) movePupilToSeat(pid, seatId);
+});
+}
+
+function onArrangeClick(r,c){
+const seatId = state.room.seats.get(keyRC(r,c));
+if(!seatId) return;
+const occ = invertAssignment(state.assignment||{})[seatId];
+const pick = state.arrangePick;
+if(!pick){
+    if(!occ) return;
+    state.arrangePick = occ;
+    rebuildMap();
+    updateKPIs(`Picked ${occ}. Click a seat to move or swap.`);
+    return;
+}
+state.arrangePick = null;
+if(pick === occ){ rebuildMap(); return; }
+movePupilToSeat(pick, seatId);
+}
+
+// Assignment after moving `pid` to `seatId` (swapping with whoever sits there),
+// or null if a locked pupil would have to move.
+function arrangedAssignment(pid, seatId){
+const locked = new Set(getPupils().filter(PlannerCore.isFixedPupil).map(p=>p.id));
+const other = invertAssignment(state.assignment||{})[seatId];
+if(locked.has(pid) || (other && locked.has(other))) return null;
+const next = {...state.assignment};
+const from = next[pid];
+next[pid] = seatId;
+if(other && other !== pid){
+    if(from) next[other] = from;
+    else delete next[other];
+}
+return next;
+}
+
+function movePupilToSeat(pid, seatId){
+const next = arrangedAssignment(pid, seatId);
+if(!next){
+    toast("Locked pupils can't be moved — unlock first");
+    rebuildMap();
+    return;
+}
+const other = invertAssignment(state.assignment||{})[seatId];
+state.assignment = next;
+rebuildMap();
+updateKPIs(other && other !== pid ? `Swapped ${pid} and ${other}.` : `Moved ${pid}.`);
+saveLocal();
+}
+
+function togglePupilLock(pid){
+const pupils = getPupils();
+const p = pupils.find(x=>x.id===pid);
+if(!p) return;
+if(PlannerCore.isFixedPupil(p)){
+    p.fixed = null;
+} else {
+    const seat = state.assignment?.[pid];
+    if(!seat) return;
+    p.fixed = { seat };
+}
+setPupilsText(pupils);
+rebuildMap();
+saveLocal();
+toast(p.fixed ? `${pid} locked` : `${pid} unlocked`);
+}
+
 function updateKPIs(msg){
+const invalid = validateInputs();
+renderRuleForms();
+if(feasibilitySig && feasibilitySig !== problemSignature()){ feasibilitySig = null; renderFeasibility(null); }
+if(state.candidates.length && state.candidatesSig !== candidatesSignature()){ state.candidates = []; renderCandidates(); }
 const seats = allSeatIds().length;
 const pupils = getPupils().length;
 $("kpiSeats").textContent = String(seats);
 $("kpiPupils").textContent = String(pupils);
 
+if(invalid){
+    // Scores of a half-read problem would mislead (and a bad metric throws).
+    $("kpiHard").textContent = "—";
+    $("kpiScore").textContent = "—";
+    $("kpiMsg").textContent = `${invalid} error${invalid===1 ? "" : "s"} in pupils/rules — fix ${invalid===1 ? "it" : "them"} to solve.`;
+    renderInspector([]);
+    return;
+}
+
 const sc = (Object.keys(state.assignment||{}).length) ? scoreAssignment(state.assignment) : {total:0, hardBreaks:0};
 $("kpiHard").textContent = String(sc.hardBreaks);
 $("kpiScore").textContent = String(sc.total);
 $("kpiMsg").textContent = msg || (sc.total===0 && pupils>0 ? "Perfect score." : "Ready.");
+
+renderInspector(PlannerCore.ruleBreakdown(currentProblem(), state.assignment||{}));
+}
+
+// --------- Rule inspector ---------
+// Lists every rule with its current penalty; the selected rule's pupils are
+// highlighted on the map and pairwise rules get a line between the two seats.
+function renderInspector(breakdown){
+const list = $("ruleList");
+const brokenOnly = $("chkBrokenOnly").checked;
+list.innerHTML = "";
+if(state.inspectRule != null && !breakdown[state.inspectRule]) state.inspectRule = null;
+
+const shown = breakdown.filter(b => !brokenOnly || b.broken);
+if(shown.length === 0){
+    const empty = document.createElement("p");
+    empty.className = "hint";
+    empty.textContent = state.inputErrors ? "Fix the errors under Pupils/Rules to check rules." : breakdown.length ? "No broken rules." : "No rules yet.";
+    list.appendChild(empty);
+}
+
+for(const b of shown){
+    const item = document.createElement("div");
+    const off = b.rule.enabled === false;
+    item.className = "ruleItem" + (b.broken ? " broken" : "") + (b.hard ? " hard" : "") + (off ? " off" : "");
+    item.setAttribute("role", "option");
+    item.setAttribute("aria-selected", state.inspectRule === b.index ? "true" : "false");
+    item.tabIndex = 0;
+
+    const name = document.createElement("div");
+    name.className = "ruleName";
+    name.textContent = b.rule.name || b.rule.type;
+
+    const meta = document.createElement("div");
+    meta.className = "small";
+    const group = PlannerCore.groupLabel(b.rule);
+    meta.textContent = `${b.rule.type}${group ? " " + group : ""} · ${b.hard ? "hard" : `soft ×${Math.max(1, b.rule.weight|0)}`}`;
+
+    const pen = document.createElement("span");
+    pen.className = "pill rulePen";
+    pen.textContent = off ? "off" : b.broken ? (b.hard ? "broken" : `+${b.penalty}`) : "ok";
+
+    const who = document.createElement("div");
+    who.className = "small mono";
+    const pids = b.broken ? b.offenders : b.involved;
+    who.textContent = pids.length ? pids.join(", ") : "—";
+
+    item.append(name, pen, meta, who);
+    const select = () => {
+    state.inspectRule = state.inspectRule === b.index ? null : b.index;
+    renderInspector(breakdown);
+    };
+    item.addEventListener("click", select);
+    item.addEventListener("keydown", (e) => {
+    if(e.key === "Enter" || e.key === " "){ e.preventDefault(); select(); }
+    });
+    list.appendChild(item);
+}
+
+drawRuleHighlight(breakdown[state.inspectRule]);
+}
+
+// --------- Feasibility check ---------
+// Findings stay up until the pupils, rules or map change.
+let feasibilitySig = null;
+
+function problemSignature(){
+return JSON.stringify([$("txtPupils").value, $("txtRules").value, PlannerCore.roomToJSON(state.room)]);
+}
+
+// Runs the check and lists what it finds; returns the report.
+function checkFeasibility(){
+readTextAreasIntoState();
+const report = PlannerCore.analyseFeasibility(currentProblem());
+feasibilitySig = problemSignature();
+renderFeasibility(report);
+return report;
+}
+
+function renderFeasibility(report){
+const list = $("feasibilityList");
+list.innerHTML = "";
+if(!report) return;
+if(report.conflicts.length === 0){
+    const li = document.createElement("li");
+    li.className = "ok";
+    li.textContent = "No contradictions found between the hard rules.";
+    list.appendChild(li);
+}
+for(const x of report.conflicts){
+    const li = document.createElement("li");
+    li.className = x.level;
+    li.textContent = x.message;
+    if(x.rules.length){
+    li.tabIndex = 0;
+    li.title = "Show the first rule involved";
+    const show = () => { state.inspectRule = x.rules[0]; updateKPIs(); };
+    li.addEventListener("click", show);
+    li.addEventListener("keydown", (e) => { if(e.key === "Enter"){ e.preventDefault(); show(); } });
+    }
+    list.appendChild(li);
+}
+}
+
+function cellAt(r,c){
+return $("map").querySelector(`.cell[data-r="${r}"][data-c="${c}"]`);
+}
+
+function drawRuleHighlight(b){
+const map = $("map");
+map.querySelector(".mapOverlay")?.remove();
+for(const el of map.querySelectorAll(".cell.hl")) el.classList.remove("hl");
+if(!b) return;
+
+const seatPos = PlannerCore.seatPositions(state.room);
+for(const pid of (b.broken ? b.offenders : b.involved)){
+    const pos = seatPos.get(state.assignment?.[pid]);
+    if(pos) cellAt(pos.r, pos.c)?.classList.add("hl");
+}
+if(b.links.length === 0) return;
+
+const NS = "http://www.w3.org/2000/svg";
+const svg = document.createElementNS(NS, "svg");
+svg.setAttribute("class", "mapOverlay");
+svg.setAttribute("width", String(map.scrollWidth));
+svg.setAttribute("height", String(map.scrollHeight));
+const centre = (pos) => {
+    const el = cellAt(pos.r, pos.c);
+    return el ? [el.offsetLeft + el.offsetWidth/2, el.offsetTop + el.offsetHeight/2] : null;
+};
+for(const [pa, pb] of b.links){
+    const a = centre(pa), z = centre(pb);
+    if(!a || !z) continue;
+    const line = document.createElementNS(NS, "line");
+    line.setAttribute("x1", String(a[0])); line.setAttribute("y1", String(a[1]));
+    line.setAttribute("x2", String(z[0])); line.setAttribute("y2", String(z[1]));
+    svg.appendChild(line);
+}
+map.appendChild(svg);
 }
 
 function getPupils(){
 // authoritative from textarea
 const raw = $("txtPupils").value.trim();
-const parsed = parseJSONText(raw, []);
-const pupils = Array.isArray(parsed) ? parsed : [];
-// normalise
-return pupils.map(p => ({
-    id: String(p.id||p.pupil_id||""),
-    tags: Array.isArray(p.tags) ? p.tags.map(String) : [],
-    fixed: p.fixed ?? null,
-})).filter(p => p.id.length>0);
+return PlannerCore.normalisePupils(parseJSONText(raw, []));
 }
 
 function getRules(){
 const raw = $("txtRules").value.trim();
-const parsed = parseJSONText(raw, []);
-const rules = Array.isArray(parsed) ? parsed : [];
-return rules.map(r => ({
-    type: String(r.type||""),
-    name: r.name ?? r.type,
-    hard: !!r.hard,
-    weight: (r.weight==null ? 1 : (r.weight|0)),
-    ...r,
-})).filter(r => r.type.length>0);
+return PlannerCore.normaliseRules(parseJSONText(raw, []));
+}
+
+// --------- Input validation ---------
+// Checks both textareas and lists problems under each; returns the error count.
+// Solve and Quick Improve stay disabled while there are errors.
+function validateInputs(){
+const pupilsJSON = PlannerCore.parseJSONDetailed($("txtPupils").value);
+const rulesJSON = PlannerCore.parseJSONDetailed($("txtRules").value);
+const pupilIssues = pupilsJSON.error ? [pupilsJSON.error] : PlannerCore.validatePupils(pupilsJSON.value, state.room);
+const problem = { room: state.room, pupils: getPupils() };
+const ruleIssues = rulesJSON.error ? [rulesJSON.error] : PlannerCore.validateRules(rulesJSON.value, problem);
+renderIssues("txtPupils", "pupilIssues", pupilIssues, pupilsJSON, "Pupil");
+renderIssues("txtRules", "ruleIssues", ruleIssues, rulesJSON, "Rule");
+
+state.inputErrors = [...pupilIssues, ...ruleIssues].filter(x => x.level === "error").length;
+const busy = !$("btnCancel").hidden;
+$("btnSolve").disabled = busy || state.inputErrors > 0;
+$("btnStep").disabled = busy || state.inputErrors > 0;
+return state.inputErrors;
+}
+
+function renderIssues(textareaId, listId, issues, parsed, noun){
+const ta = $(textareaId), list = $(listId);
+ta.classList.toggle("invalid", issues.some(x => x.level === "error"));
+list.innerHTML = "";
+for(const issue of issues){
+    const line = issue.line ?? (issue.index != null ? parsed.lines[issue.index] : null);
+    const item = document.createElement("li");
+    item.className = issue.level;
+    const where = issue.index != null ? `${noun} ${issue.index + 1}` : "";
+    const at = line != null ? `line ${line}${issue.col != null ? `:${issue.col}` : ""}` : "";
+    item.textContent = [[where, at].filter(Boolean).join(", "), issue.message].filter(Boolean).join(" — ");
+    if(line != null){
+    item.tabIndex = 0;
+    item.title = "Go to line";
+    const go = () => gotoLine(ta, line, issue.col || 1);
+    item.addEventListener("click", go);
+    item.addEventListener("keydown", (e) => { if(e.key === "Enter"){ e.preventDefault(); go(); } });
+    }
+    list.appendChild(item);
+}
+}
+
+function gotoLine(ta, line, col){
+ta.closest("details")?.setAttribute("open", "");
+const lines = ta.value.split("\n");
+let offset = 0;
+for(let i=0; i<line-1 && i<lines.length; i++) offset += lines[i].length + 1;
+offset += col - 1;
+ta.focus();
+ta.setSelectionRange(offset, offset);
+const lineHeight = parseFloat(getComputedStyle(ta).lineHeight) || 16;
+ta.scrollTop = Math.max(0, (line - 3) * lineHeight);
 }
 
 function syncTextAreas(){
@@ -683,6 +914,12 @@ if(!$("txtRules").dataset.dirty){
 }
 }
 
+function setPupilsText(pupils){
+$("txtPupils").dataset.dirty = "";
+$("txtPupils").value = JSON.stringify(pupils, null, 2);
+readTextAreasIntoState();
+}
+
 function readTextAreasIntoState(){
 state.pupils = getPupils();
 state.rules = getRules();
@@ -691,47 +928,17 @@ state.rules = getRules();
 // --------- Export / Import ---------
 function exportJSON(){
 readTextAreasIntoState();
-
-// serialise sets/maps
-const room = {
-    rows: state.room.rows,
-    cols: state.room.cols,
-    cell: state.room.cell,
-    blocked: Array.from(state.room.blocked),
-    teacher: Array.from(state.room.teacher),
-    seats: Array.from(state.room.seats.entries()),
-};
-
-return {
-    version: MODEL_VERSION,
-    room,
-    pupils: state.pupils,
-    rules: state.rules,
-    assignment: state.assignment,
-};
+return PlannerCore.planToJSON({ room: state.room, pupils: state.pupils, rules: state.rules, history: state.history }, state.assignment);
 }
 
 function importJSON(obj){
-if(!obj || typeof obj !== "object") throw new Error("Invalid JSON");
+const { problem, assignment } = PlannerCore.planFromJSON(obj);
 
-const room = obj.room || {};
-state.room.rows = clamp(room.rows|0 || 8, 1, 40);
-state.room.cols = clamp(room.cols|0 || 10, 1, 40);
-state.room.cell = clamp(room.cell|0 || 42, 28, 64);
-
-state.room.blocked = new Set(Array.isArray(room.blocked) ? room.blocked : []);
-state.room.teacher = new Set(Array.isArray(room.teacher) ? room.teacher : []);
-
-state.room.seats = new Map();
-if(Array.isArray(room.seats)){
-    for(const [k,v] of room.seats){
-    state.room.seats.set(String(k), String(v));
-    }
-}
-
-state.pupils = Array.isArray(obj.pupils) ? obj.pupils : [];
-state.rules = Array.isArray(obj.rules) ? obj.rules : [];
-state.assignment = obj.assignment && typeof obj.assignment === "object" ? obj.assignment : {};
+state.room = problem.room;
+state.pupils = Array.isArray(obj.pupils) ? obj.pupils : [];
+state.rules = Array.isArray(obj.rules) ? obj.rules.map(PlannerCore.upgradeRule) : [];
+state.assignment = assignment;
+state.history = problem.history;
 
 // Push to inputs
 $("inpRows").value = String(state.room.rows);
@@ -747,8 +954,771 @@ $("txtRules").value = JSON.stringify(state.rules, null, 2);
 try{ state.assignment = repairAssignment(state.assignment, Number($("inpSeed").value||12345)); }
 catch{ state.assignment = {}; }
 
+renderHistory();
+rebuildMap();
+saveLocal();
+}
+
+// --------- Class / room library ---------
+// {version, current:classId,
+//  rooms:   {roomId: {name, room}}                                  (room in roomToJSON() form)
+//  classes: {classId: {name, roomId, pupils, rules, assignment, history, exam}}}
+// Classes point at a room by id, so several classes can share one layout; map
+// edits made while a class is open change that shared room.
+function libraryFromPlan(plan){
+const lib = { version: MODEL_VERSION, current: "c1", rooms: {}, classes: {} };
+lib.rooms.r1 = { name: "Room 1", room: plan?.room || PlannerCore.roomToJSON(PlannerCore.createRoom()) };
+lib.classes.c1 = {
+    name: "Class 1", roomId: "r1",
+    pupils: plan?.pupils || [], rules: plan?.rules || [],
+    assignment: plan?.assignment || {}, history: plan?.history || [],
+    exam: normaliseExam(null),
+};
+return lib;
+}
+
+function normaliseLibrary(obj){
+if(!obj || typeof obj !== "object" || !obj.classes || !obj.rooms) throw new Error("Invalid library");
+const lib = { version: MODEL_VERSION, current: String(obj.current||""), rooms: {}, classes: {} };
+for(const [id, rm] of Object.entries(obj.rooms)){
+    if(rm && rm.room) lib.rooms[id] = { name: String(rm.name||id), room: rm.room };
+}
+for(const [id, cls] of Object.entries(obj.classes)){
+    if(!cls || !lib.rooms[cls.roomId]) continue;
+    lib.classes[id] = {
+    name: String(cls.name||id), roomId: cls.roomId,
+    pupils: cls.pupils || [], rules: cls.rules || [],
+    assignment: cls.assignment || {}, history: cls.history || [],
+    exam: normaliseExam(cls.exam),
+    };
+}
+if(!lib.classes[lib.current]) lib.current = Object.keys(lib.classes)[0];
+if(!lib.current) throw new Error("Library has no classes");
+return lib;
+}
+
+// A class as an Export JSON plan (the shape importJSON() reads).
+function classPlan(classId){
+const cls = library.classes[classId];
+return {
+    version: MODEL_VERSION,
+    room: library.rooms[cls.roomId].room,
+    pupils: cls.pupils,
+    rules: cls.rules,
+    assignment: cls.assignment,
+    history: cls.history,
+};
+}
+
+function nextLibraryId(prefix, taken){
+let n = 1;
+while(taken[prefix+n]) n++;
+return prefix+n;
+}
+
+function classesUsingRoom(roomId){
+return Object.values(library.classes).filter(cls => cls.roomId === roomId);
+}
+
+function renderLibrary(){
+const fill = (sel, items, current, label) => {
+    sel.innerHTML = "";
+    for(const id of Object.keys(items)){
+    const opt = document.createElement("option");
+    opt.value = id;
+    opt.textContent = label(id, items[id]);
+    sel.appendChild(opt);
+    }
+    sel.value = current;
+};
+fill($("selClass"), library.classes, library.current, (id, cls) => cls.name);
+fill($("selRoom"), library.rooms, library.classes[library.current].roomId, (id, rm) => {
+    const n = classesUsingRoom(id).length;
+    return n > 1 ? `${rm.name} (${n} classes)` : rm.name;
+});
+}
+
+// Puts a library class on the page. Doesn't save what was open: see openClass().
+function loadClass(classId){
+library.current = classId;
+state.inspectRule = null;
+state.arrangePick = null;
+state.candidates = [];
+// before importJSON(), whose save would file the old settings under this class
+state.exam = library.classes[classId].exam;
+showExamSettings();
+importJSON(classPlan(classId));
+renderCandidates();
+renderLibrary();
+}
+
+function openClass(classId){
+saveLocal();
+loadClass(classId);
+}
+
+function newClass(){
+const name = prompt("Name for the new class:", "");
+if(!name) return;
+const id = nextLibraryId("c", library.classes);
+const roomId = library.classes[library.current].roomId;
+library.classes[id] = { name, roomId, pupils: [], rules: [], assignment: {}, history: [], exam: normaliseExam(null) };
+openClass(id);
+toast(`Created ${name}`);
+}
+
+function duplicateClass(){
+saveLocal();
+const src = library.classes[library.current];
+const name = prompt("Name for the copy:", `${src.name} (copy)`);
+if(!name) return;
+const id = nextLibraryId("c", library.classes);
+library.classes[id] = { ...JSON.parse(JSON.stringify(src)), name };
+openClass(id);
+toast(`Duplicated as ${name}`);
+}
+
+function renameClass(){
+const cls = library.classes[library.current];
+const name = prompt("Rename class:", cls.name);
+if(!name) return;
+cls.name = name;
+saveLocal();
+renderLibrary();
+}
+
+function deleteClass(){
+const ids = Object.keys(library.classes);
+if(ids.length < 2){ toast("Can't delete the only class"); return; }
+const cls = library.classes[library.current];
+if(!confirm(`Delete ${cls.name} with its pupils, rules and history?`)) return;
+flushUndo();
+localStorage.removeItem(undoKeyFor(library.current));
+delete library.classes[library.current];
+loadClass(Object.keys(library.classes)[0]);
+toast(`Deleted ${cls.name}`);
+}
+
+function useRoom(roomId){
+const cls = library.classes[library.current];
+if(cls.roomId === roomId) return;
+saveLocal();
+cls.roomId = roomId;
+loadClass(library.current);
+}
+
+function newRoom(){
+const name = prompt("Name for the new room:", "");
+if(!name) return;
+const id = nextLibraryId("r", library.rooms);
+const room = PlannerCore.createRoom();
+room.rows = state.room.rows;
+room.cols = state.room.cols;
+room.cell = state.room.cell;
+library.rooms[id] = { name, room: PlannerCore.roomToJSON(room) };
+useRoom(id);
+toast(`Created ${name} — paint its seats`);
+}
+
+function duplicateRoom(){
+saveLocal();
+const src = library.rooms[library.classes[library.current].roomId];
+const name = prompt("Name for the copy:", `${src.name} (copy)`);
+if(!name) return;
+const id = nextLibraryId("r", library.rooms);
+library.rooms[id] = { name, room: JSON.parse(JSON.stringify(src.room)) };
+useRoom(id);
+toast(`Duplicated as ${name}`);
+}
+
+function renameRoom(){
+const rm = library.rooms[library.classes[library.current].roomId];
+const name = prompt("Rename room:", rm.name);
+if(!name) return;
+rm.name = name;
+saveLocal();
+renderLibrary();
+}
+
+function deleteRoom(){
+const roomId = library.classes[library.current].roomId;
+const users = classesUsingRoom(roomId);
+const others = Object.keys(library.rooms).filter(id => id !== roomId);
+if(others.length === 0){ toast("Can't delete the only room"); return; }
+if(users.length > 1){ toast(`Used by ${users.length} classes — move them first`); return; }
+if(!confirm(`Delete ${library.rooms[roomId].name}? This class moves to ${library.rooms[others[0]].name}.`)) return;
+saveLocal();
+library.classes[library.current].roomId = others[0];
+delete library.rooms[roomId];
+loadClass(library.current);
+}
+
+// --------- Undo / redo ---------
+// Every saveLocal() is a step: the stacks hold whole plans (Export JSON text)
+// for the open class, so map paints, resizes, roster/rule edits, solver runs
+// and history changes all undo the same way. Kept per class in local storage,
+// written a moment after the stacks last changed rather than on every save.
+const UNDO_KEY = "seating_planner_undo_v"+MODEL_VERSION;
+const UNDO_LIMIT = 50;
+const UNDO_BUDGET = 2000000; // characters across all classes' stacks, well under the usual 5M quota
+const UNDO_SAVE_DELAY = 1000;
+const undoState = { classId: null, current: null, parts: null, undo: [], redo: [], applying: false };
+let undoSaveTimer = null;
+
+function undoKeyFor(classId){ return `${UNDO_KEY}:${classId}`; }
+
+// A plan's top-level fields as JSON text, so describeChange() compares strings.
+function planParts(plan){
+return Object.fromEntries(Object.entries(plan).map(([k, v]) => [k, JSON.stringify(v)]));
+}
+
+// The same text as JSON.stringify(plan), from its parts.
+function partsText(parts){
+return "{" + Object.entries(parts).filter(([, v]) => v !== undefined).map(([k, v]) => `${JSON.stringify(k)}:${v}`).join(",") + "}";
+}
+
+// What changed between two plans (as planParts()), for the button titles.
+function describeChange(a, b){
+const same = (k) => a[k] === b[k];
+if(!same("room")) return "map edit";
+if(!same("pupils")) return "pupil changes";
+if(!same("rules")) return "rule changes";
+if(!same("history")) return "history change";
+return "seating change";
+}
+
+function recordUndo(plan){
+const parts = planParts(plan);
+const txt = partsText(parts);
+if(undoState.classId !== library.current){
+    // Opened another class (or first load): pick up its stacks.
+    flushUndo();
+    const saved = parseJSONText(localStorage.getItem(undoKeyFor(library.current)), null);
+    undoState.classId = library.current;
+    undoState.undo = Array.isArray(saved?.undo) ? saved.undo : [];
+    undoState.redo = Array.isArray(saved?.redo) ? saved.redo : [];
+    undoState.current = txt;
+    undoState.parts = parts;
+}
+else if(txt !== undoState.current){
+    if(!undoState.applying){
+    undoState.undo.push({ label: describeChange(undoState.parts, parts), plan: undoState.current });
+    if(undoState.undo.length > UNDO_LIMIT) undoState.undo.shift();
+    undoState.redo = [];
+    }
+    undoState.current = txt;
+    undoState.parts = parts;
+    scheduleUndoSave();
+}
+renderUndoButtons();
+}
+
+function scheduleUndoSave(){
+clearTimeout(undoSaveTimer);
+undoSaveTimer = setTimeout(flushUndo, UNDO_SAVE_DELAY);
+}
+
+// Writes the stacks now if a write is pending.
+function flushUndo(){
+if(undoSaveTimer == null) return;
+clearTimeout(undoSaveTimer);
+undoSaveTimer = null;
+saveUndo();
+}
+
+function storedUndoKeys(){
+return Object.keys(localStorage).filter(key => key.startsWith(UNDO_KEY+":"));
+}
+
+function clearStoredUndo(){
+for(const key of storedUndoKeys()) localStorage.removeItem(key);
+}
+
+// Keeps all stacks together under UNDO_BUDGET: other classes' stacks go first,
+// then the oldest steps of the open class.
+function saveUndo(){
+const key = undoKeyFor(undoState.classId);
+const stacksText = () => JSON.stringify({ undo: undoState.undo, redo: undoState.redo });
+let text = stacksText();
+const others = storedUndoKeys().filter(k => k !== key);
+let used = others.reduce((n, k) => n + (localStorage.getItem(k)||"").length, 0);
+while(used + text.length > UNDO_BUDGET && others.length){
+    const k = others.pop();
+    used -= (localStorage.getItem(k)||"").length;
+    localStorage.removeItem(k);
+}
+while(text.length > UNDO_BUDGET && (undoState.undo.length || undoState.redo.length)){
+    (undoState.undo.length ? undoState.undo : undoState.redo).shift();
+    text = stacksText();
+}
+for(let attempt=0; attempt<3; attempt++){
+    try{
+    localStorage.setItem(key, text);
+    return;
+    }catch(e){
+    // Storage full: forget the oldest half and try again.
+    undoState.undo.splice(0, Math.ceil(undoState.undo.length / 2));
+    undoState.redo.splice(0, Math.ceil(undoState.redo.length / 2));
+    text = stacksText();
+    }
+}
+localStorage.removeItem(key);
+console.warn("Undo history not saved");
+}
+
+function stepUndo(from, to){
+const step = from.pop();
+if(!step) return;
+to.push({ label: step.label, plan: undoState.current });
+undoState.applying = true;
+try{ importJSON(JSON.parse(step.plan)); }
+finally{ undoState.applying = false; }
+scheduleUndoSave();
+toast(`${from === undoState.undo ? "Undid" : "Redid"} ${step.label}`);
+}
+
+function undo(){ stepUndo(undoState.undo, undoState.redo); }
+function redo(){ stepUndo(undoState.redo, undoState.undo); }
+
+function renderUndoButtons(){
+const u = undoState.undo.at(-1), r = undoState.redo.at(-1);
+$("btnUndo").disabled = !u;
+$("btnRedo").disabled = !r;
+$("btnUndo").title = u ? `Undo ${u.label} (Ctrl+Z)` : "Nothing to undo";
+$("btnRedo").title = r ? `Redo ${r.label} (Ctrl+Shift+Z)` : "Nothing to redo";
+}
+
+// --------- Rotation history ---------
+function todayISO(){
+const d = new Date();
+return `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,"0")}-${String(d.getDate()).padStart(2,"0")}`;
+}
+
+function saveSnapshot(){
+if(!Object.keys(state.assignment||{}).length){ toast("Nothing seated yet"); return; }
+const date = $("inpSnapDate").value || todayISO();
+const snap = PlannerCore.makeSnapshot(state.room, state.assignment, date, $("inpSnapLabel").value.trim());
+state.history = PlannerCore.normaliseHistory([snap, ...state.history]);
+$("inpSnapLabel").value = "";
+renderHistory();
+updateKPIs("Snapshot saved.");
+saveLocal();
+toast("Snapshot saved");
+}
+
+function loadSnapshot(i){
+const snap = state.history[i];
+if(!snap) return;
+try{ state.assignment = repairAssignment({...snap.assignment}, Number($("inpSeed").value||12345)); }
+catch(e){ toast(String(e.message||e)); return; }
 rebuildMap();
 saveLocal();
+toast(`Loaded ${snap.date}`);
+}
+
+function deleteSnapshot(i){
+const snap = state.history[i];
+if(!snap || !confirm(`Delete the ${snap.date} snapshot?`)) return;
+state.history.splice(i, 1);
+renderHistory();
+updateKPIs("Snapshot deleted.");
+saveLocal();
+}
+
+function renderHistory(){
+const list = $("historyList");
+list.innerHTML = "";
+if(state.history.length === 0){
+    const empty = document.createElement("p");
+    empty.className = "hint";
+    empty.textContent = "No snapshots yet.";
+    list.appendChild(empty);
+}
+state.history.forEach((snap, i) => {
+    const item = document.createElement("div");
+    item.className = "historyItem";
+
+    const date = document.createElement("strong");
+    date.className = "mono";
+    date.textContent = snap.date;
+
+    const label = document.createElement("span");
+    label.className = "small";
+    label.textContent = `${snap.label ? snap.label + " · " : ""}${Object.keys(snap.assignment).length} seated`;
+
+    const load = document.createElement("button");
+    load.textContent = "Load";
+    load.title = "Put this plan back on the map";
+    load.addEventListener("click", () => loadSnapshot(i));
+
+    const del = document.createElement("button");
+    del.textContent = "Delete";
+    del.addEventListener("click", () => deleteSnapshot(i));
+
+    item.append(date, label, load, del);
+    list.appendChild(item);
+});
+}
+
+// --------- Rule builder ---------
+// One card per rule, built from PlannerCore.RULE_FIELDS. Cards edit the raw rules
+// JSON (unknown fields survive) and write it back to the textarea; edits to the
+// textarea, undo, imports etc. re-render the cards on the next updateKPIs().
+const RULE_TYPE_LABELS = {
+MinDistance: "Keep apart",
+MaxDistance: "Keep close",
+NotAdjacent: "Not next to each other",
+PreferFront: "Near the front",
+PreferAwayFromTeacher: "Away from the teacher",
+MustBeInRows: "Within rows",
+MustBeInSeats: "Only these seats",
+TagSeparation: "Spread a group out",
+SameTable: "Same table",
+DifferentTable: "Different tables",
+TableTagMax: "At most N of a group per table",
+TableBalance: "Balance a group across tables",
+AvoidPastNeighbours: "New seat-mates",
+MustHaveSeatAttribute: "Seat must have",
+PreferSeatAttribute: "Seat should have",
+AvoidSeatAttribute: "Seat should not have",
+ClearViewOfBoard: "Clear view of the board",
+MaxViewingAngle: "Board viewing angle",
+ZoneBalance: "Balance a group across zones",
+};
+const RULE_FIELD_LABELS = {
+a: "Pupil", b: "and", pupil_id: "Pupil", d: "Distance", metric: "Measured",
+k: "Front rows", min_d: "At least", r_min: "From row", r_max: "to row",
+allowed_seat_ids: "Seats", per_table: "At most", tolerance: "Tolerance",
+radius: "Within", same_seat: "Avoid the same seat too", seat_attr: "Seat attribute", max_deg: "At most (°)",
+by: "Zones", size: "Rows/cols each", zones: "Seats per zone",
+"AvoidPastNeighbours.k": "Last plans",
+};
+const RULE_FIELD_DEFAULTS = { d: 3, k: 2, min_d: 3, r_min: 0, r_max: 1, allowed_seat_ids: [], per_table: 1, seat_attr: "window", max_deg: 30, by: "quadrants" };
+const ZONE_BY_LABELS = { rows: "by rows", columns: "by columns", quadrants: "quadrants", zones: "my own zones" };
+const METRIC_LABELS = { manhattan: "in steps", chebyshev: "incl. diagonals", euclidean2: "straight line²", walking: "walking, round obstacles" };
+let ruleFormsSig = null;
+
+function ruleFormsSignature(){
+return $("txtRules").value + "\u0000" + JSON.stringify(getPupils()) + "\u0000" + allSeatIds().length + "\u0000" + PlannerCore.seatAttrNames(state.room).join(",") + "\u0000" + state.room.board.size + "\u0000" + JSON.stringify(Array.from(state.room.seatLabels));
+}
+
+function renderRuleForms(force){
+const sig = ruleFormsSignature();
+if(!force && sig === ruleFormsSig) return;
+ruleFormsSig = sig;
+
+const box = $("ruleForms");
+box.innerHTML = "";
+const parsed = PlannerCore.parseJSONDetailed($("txtRules").value);
+const pupils = getPupils();
+$("dlTags").innerHTML = "";
+for(const t of new Set(pupils.flatMap(p => p.tags))) $("dlTags").appendChild(new Option(t, t));
+$("dlAttrs").innerHTML = "";
+for(const k of new Set(pupils.flatMap(p => Object.keys(p.attrs||{})))) $("dlAttrs").appendChild(new Option(k, k));
+
+const hint = (text) => {
+    const p0 = document.createElement("p");
+    p0.className = "hint";
+    p0.textContent = text;
+    box.appendChild(p0);
+};
+if(parsed.error || !Array.isArray(parsed.value)){
+    hint("The rules JSON has an error (see below); fix it to use the forms.");
+    return;
+}
+const rules = parsed.value;
+const issues = PlannerCore.validateRules(rules, { room: state.room, pupils });
+rules.forEach((rule, i) => {
+    if(!rule || typeof rule !== "object" || Array.isArray(rule)) hint(`Rule ${i + 1} is not a rule object; fix it in the JSON below.`);
+    else box.appendChild(ruleCard(rules, i, pupils, issues.filter(x => x.index === i)));
+});
+if(rules.length === 0) hint("No rules yet. Pick a template above and add one.");
+}
+
+// Writes the edited rules back; the cards already show them, so no re-render
+// unless asked (type or group-mode changes reshape the card).
+function writeRules(rules, msg, rerender){
+$("txtRules").dataset.dirty = "";
+$("txtRules").value = JSON.stringify(rules, null, 2);
+readTextAreasIntoState();
+if(!rerender) ruleFormsSig = ruleFormsSignature();
+updateKPIs(msg);
+saveLocal();
+}
+
+function ruleCard(rules, i, pupils, issues){
+const rule = rules[i];
+const commit = (msg, rerender) => writeRules(rules, msg || "Rule edited.", rerender);
+const card = document.createElement("div");
+card.className = "ruleCard" + (rule.enabled === false ? " off" : "") + (issues.some(x => x.level === "error") ? " invalid" : "");
+
+// Header: on/off, name, type, hard/weight, actions
+const head = document.createElement("div");
+head.className = "ruleCardHead";
+
+const on = document.createElement("input");
+on.type = "checkbox";
+on.checked = rule.enabled !== false;
+on.title = "Rule on/off";
+on.setAttribute("aria-label", "enabled");
+on.addEventListener("change", () => {
+    if(on.checked) delete rule.enabled; else rule.enabled = false;
+    commit(on.checked ? "Rule enabled." : "Rule disabled.", true);
+});
+
+const name = document.createElement("input");
+name.type = "text";
+name.className = "ruleCardName";
+name.value = rule.name ?? "";
+name.placeholder = RULE_TYPE_LABELS[rule.type] || rule.type || "rule";
+name.setAttribute("aria-label", "rule name");
+name.addEventListener("change", () => { rule.name = name.value.trim() || undefined; commit(); });
+
+const type = document.createElement("select");
+type.setAttribute("aria-label", "rule type");
+for(const t of Object.keys(PlannerCore.RULE_FIELDS)) type.appendChild(new Option(RULE_TYPE_LABELS[t] || t, t));
+if(!PlannerCore.RULE_FIELDS[rule.type]) type.appendChild(new Option(`${rule.type} (unknown)`, rule.type));
+type.value = rule.type;
+type.addEventListener("change", () => {
+    rules[i] = changeRuleType(rule, type.value, pupils);
+    commit("Rule type changed.", true);
+});
+
+const hard = document.createElement("label");
+hard.className = "small";
+const hardBox = document.createElement("input");
+hardBox.type = "checkbox";
+hardBox.checked = !!rule.hard;
+hardBox.addEventListener("change", () => { rule.hard = hardBox.checked; commit(undefined, true); });
+hard.append(hardBox, " Hard");
+
+const weight = document.createElement("input");
+weight.type = "number";
+weight.min = "1";
+weight.value = String(rule.weight ?? 1);
+weight.disabled = !!rule.hard;
+weight.title = rule.hard ? "Hard rules must hold; weight only applies to soft rules" : "Weight of this soft rule";
+weight.setAttribute("aria-label", "weight");
+weight.addEventListener("change", () => { rule.weight = Math.max(1, Number(weight.value)|0); commit(); });
+
+const actions = document.createElement("span");
+actions.className = "ruleCardActions";
+const action = (label, title, fn) => {
+    const btn = document.createElement("button");
+    btn.textContent = label;
+    btn.title = title;
+    btn.addEventListener("click", fn);
+    actions.appendChild(btn);
+};
+if(i > 0) action("↑", "Move up", () => { rules.splice(i-1, 0, ...rules.splice(i, 1)); commit("Rule moved.", true); });
+if(i < rules.length-1) action("↓", "Move down", () => { rules.splice(i+1, 0, ...rules.splice(i, 1)); commit("Rule moved.", true); });
+action("⧉", "Duplicate", () => { rules.splice(i+1, 0, JSON.parse(JSON.stringify(rule))); commit("Rule duplicated.", true); });
+action("✕", "Delete", () => { rules.splice(i, 1); commit("Rule deleted.", true); });
+
+head.append(on, name, type, hard, weight, actions);
+card.appendChild(head);
+
+// Type-specific fields
+const fields = document.createElement("div");
+fields.className = "ruleCardFields";
+for(const [field, spec] of Object.entries(PlannerCore.RULE_FIELDS[rule.type] || {})){
+    const kind = spec.replace("?", "");
+    if(kind === "group" || kind === "who"){ fields.appendChild(groupPicker(rule, commit, kind === "who" && pupils)); continue; }
+    const label = document.createElement("label");
+    label.append(RULE_FIELD_LABELS[`${rule.type}.${field}`] || RULE_FIELD_LABELS[field] || field, " ");
+    label.appendChild(fieldInput(rule, field, kind, spec.endsWith("?"), pupils, commit));
+    fields.appendChild(label);
+}
+card.appendChild(fields);
+
+if(issues.length){
+    const list = document.createElement("ul");
+    list.className = "issues";
+    for(const x of issues){
+    const li = document.createElement("li");
+    li.className = x.level;
+    li.textContent = x.message;
+    list.appendChild(li);
+    }
+    card.appendChild(list);
+}
+return card;
+}
+
+function fieldInput(rule, field, kind, optional, pupils, commit){
+const v = rule[field];
+let input;
+if(kind === "pupil"){
+    input = document.createElement("select");
+    input.appendChild(new Option("— pick —", ""));
+    for(const p of pupils) input.appendChild(new Option(p.name ? `${p.id} · ${p.name}` : p.id, p.id));
+    if(v != null && !pupils.some(p => p.id === String(v))) input.appendChild(new Option(`${v} (unknown)`, String(v)));
+    input.value = v == null ? "" : String(v);
+    input.addEventListener("change", () => {
+    if(input.value) rule[field] = input.value; else delete rule[field];
+    commit();
+    });
+}
+else if(kind === "metric"){
+    input = document.createElement("select");
+    if(optional) input.appendChild(new Option("default", ""));
+    for(const [m, text] of Object.entries(METRIC_LABELS)){
+    if(m !== "walking" || PlannerCore.WALK_RULE_TYPES.has(rule.type)) input.appendChild(new Option(text, m));
+    }
+    input.value = v ?? "";
+    input.addEventListener("change", () => {
+    if(input.value) rule[field] = input.value; else delete rule[field];
+    commit();
+    });
+}
+else if(kind === "boolean"){
+    input = document.createElement("input");
+    input.type = "checkbox";
+    input.checked = !!v;
+    input.addEventListener("change", () => { rule[field] = input.checked; commit(); });
+}
+else if(kind === "zoneBy"){
+    input = document.createElement("select");
+    for(const [by, text] of Object.entries(ZONE_BY_LABELS)) input.appendChild(new Option(text, by));
+    input.value = v ?? "";
+    input.addEventListener("change", () => {
+    rule[field] = input.value;
+    if(input.value === "zones" && rule.zones == null) rule.zones = {};
+    commit();
+    });
+}
+else if(kind === "zones"){
+    // "front: S01_00 S01_01; back: S05_00"
+    input = document.createElement("input");
+    input.type = "text";
+    input.value = v && typeof v === "object" ? Object.entries(v).map(([name, sids]) => `${name}: ${[].concat(sids).join(" ")}`).join("; ") : "";
+    input.placeholder = "front: S01_00 S01_01; back: S05_00";
+    input.addEventListener("change", () => {
+    const zones = {};
+    for(const part of input.value.split(";")){
+        const [name, seats = ""] = part.split(":");
+        if(name.trim()) zones[name.trim()] = seats.split(/[\s,]+/).filter(Boolean);
+    }
+    if(Object.keys(zones).length) rule[field] = zones; else delete rule[field];
+    commit();
+    });
+}
+else if(kind === "seatAttr"){
+    input = document.createElement("input");
+    input.type = "text";
+    input.value = v ?? "";
+    input.placeholder = "window";
+    input.setAttribute("list", "dlSeatAttrs");
+    input.addEventListener("change", () => { rule[field] = input.value.trim().toLowerCase(); commit(); });
+}
+else if(kind === "seats"){
+    input = document.createElement("input");
+    input.type = "text";
+    input.value = Array.isArray(v) ? v.join(", ") : "";
+    input.placeholder = "S01_00, S01_01 or seat labels";
+    input.addEventListener("change", () => {
+    // commas separate seats when there are any, so labels can hold spaces
+    const sep = input.value.includes(",") ? /\s*,\s*/ : /\s+/;
+    rule[field] = input.value.trim().split(sep).filter(Boolean);
+    commit();
+    });
+}
+else {
+    input = document.createElement("input");
+    input.type = "number";
+    input.value = v ?? "";
+    if(optional) input.placeholder = "default";
+    input.addEventListener("change", () => {
+    if(input.value === "") delete rule[field]; else rule[field] = Number(input.value);
+    commit();
+    });
+}
+input.setAttribute("aria-label", field);
+return input;
+}
+
+// Tag or attribute selector, as read by PlannerCore.pupilMatches(). Given the
+// pupils, a single pupil (pupil_id) is offered too. Only GROUP_KEYS (and pupil_id)
+// are written, never the rule's own fields.
+const GROUP_KEYS = ["tag", "attr", "value", "min", "max"];
+
+function groupPicker(rule, commit, pupils){
+const wrap = document.createElement("span");
+wrap.className = "row groupPicker";
+const mode = document.createElement("select");
+mode.setAttribute("aria-label", "group by");
+if(pupils) mode.appendChild(new Option("Pupil", "pupil"));
+mode.append(new Option("Pupils tagged", "tag"), new Option("Pupils whose", "attr"));
+mode.value = pupils && rule.pupil_id != null ? "pupil" : rule.attr != null && rule.tag == null ? "attr" : "tag";
+mode.addEventListener("change", () => {
+    for(const k of ["pupil_id", ...GROUP_KEYS]) delete rule[k];
+    if(mode.value === "pupil") rule.pupil_id = pupils[0]?.id ?? "";
+    else if(mode.value === "attr") rule.attr = "";
+    else rule.tag = "";
+    commit(undefined, true);
+});
+wrap.appendChild(mode);
+
+const text = (key, list, placeholder) => {
+    const input = document.createElement("input");
+    input.type = "text";
+    input.value = rule[key] ?? "";
+    input.placeholder = placeholder;
+    if(list) input.setAttribute("list", list);
+    input.setAttribute("aria-label", key);
+    input.addEventListener("change", () => {
+    if(input.value.trim() || key === "tag" || key === "attr") rule[key] = input.value.trim(); else delete rule[key];
+    commit();
+    });
+    return input;
+};
+const num = (key, placeholder) => {
+    const input = document.createElement("input");
+    input.type = "number";
+    input.value = rule[key] ?? "";
+    input.placeholder = placeholder;
+    input.setAttribute("aria-label", key);
+    input.addEventListener("change", () => {
+    if(input.value === "") delete rule[key]; else rule[key] = Number(input.value);
+    commit();
+    });
+    return input;
+};
+if(mode.value === "pupil") wrap.appendChild(fieldInput(rule, "pupil_id", "pupil", false, pupils, commit));
+else if(mode.value === "tag") wrap.appendChild(text("tag", "dlTags", "tag"));
+else wrap.append(text("attr", "dlAttrs", "attribute"), "=", text("value", null, "value"), "or", num("min", "min"), "–", num("max", "max"));
+return wrap;
+}
+
+// Keeps the name, hard/weight/enabled and any fields the new type shares with the
+// old one; fills the rest with defaults so the card isn't born broken.
+function changeRuleType(rule, type, pupils){
+const keep = ["name", "hard", "weight", "enabled"];
+const fields = PlannerCore.RULE_FIELDS[type] || {};
+const next = { type };
+for(const k of keep) if(rule[k] !== undefined) next[k] = rule[k];
+if(next.name === (RULE_TYPE_LABELS[rule.type] || rule.type)) next.name = RULE_TYPE_LABELS[type] || type;
+const pids = pupils.map(p => p.id);
+// A pair rule's first pupil and a one-pupil rule's pupil are the same choice.
+const old = { a: rule.pupil_id, pupil_id: rule.a, ...rule };
+for(const [field, spec] of Object.entries(fields)){
+    if(spec === "group"){
+    for(const k of GROUP_KEYS) if(old[k] !== undefined) next[k] = old[k];
+    if(next.tag == null && next.attr == null) next.tag = pupils.flatMap(p => p.tags)[0] || "";
+    continue;
+    }
+    if(spec === "who"){
+    // one pupil if the old rule had one, else its group
+    if(old.pupil_id !== undefined) next.pupil_id = old.pupil_id;
+    else for(const k of GROUP_KEYS) if(old[k] !== undefined) next[k] = old[k];
+    if(next.pupil_id == null && next.tag == null && next.attr == null) next.pupil_id = pids[0] ?? "";
+    continue;
+    }
+    if(old[field] !== undefined) next[field] = old[field];
+    else if(spec === "pupil") next[field] = (field === "b" ? pids[1] : pids[0]) ?? "";
+    else if(!spec.endsWith("?") && field in RULE_FIELD_DEFAULTS) next[field] = JSON.parse(JSON.stringify(RULE_FIELD_DEFAULTS[field]));
+}
+return next;
 }
 
 // --------- Rule templates ---------
@@ -767,7 +1737,19 @@ if(tpl === "notadj") rule = {type:"NotAdjacent", name:"Not adjacent", hard:true,
 if(tpl === "preferfront") rule = {type:"PreferFront", name:"Prefer front", hard:false, weight:3, pupil_id:a, k:2};
 if(tpl === "awayteacher") rule = {type:"PreferAwayFromTeacher", name:"Away from teacher", hard:false, weight:2, pupil_id:a, min_d:3, metric:"manhattan"};
 if(tpl === "tagsep") rule = {type:"TagSeparation", name:"Spread tag", hard:false, weight:5, tag:"talkative", min_d:4, metric:"manhattan"};
+if(tpl === "mustseats") rule = {type:"MustBeInSeats", name:"Only these seats", hard:true, pupil_id:a, allowed_seat_ids:allSeatIds().slice(0,2)};
 if(tpl === "mustrows") rule = {type:"MustBeInRows", name:"Must be in rows", hard:true, pupil_id:a, r_min:0, r_max:1};
+if(tpl === "sametable") rule = {type:"SameTable", name:"A at B's table", hard:false, weight:3, a, b};
+if(tpl === "difftable") rule = {type:"DifferentTable", name:"A and B at different tables", hard:true, a, b};
+if(tpl === "tablemax") rule = {type:"TableTagMax", name:"Max 1 talkative per table", hard:false, weight:4, tag:"talkative", per_table:1};
+if(tpl === "pastneighbours") rule = {type:"AvoidPastNeighbours", name:"New seat-mates", hard:false, weight:3, k:3, metric:"chebyshev", radius:1, same_seat:true};
+if(tpl === "seatattr") rule = {type:"MustHaveSeatAttribute", name:"Accessible seat", hard:true, pupil_id:a, seat_attr:"accessible"};
+if(tpl === "preferseatattr") rule = {type:"PreferSeatAttribute", name:"Near a socket", hard:false, weight:3, pupil_id:a, seat_attr:"power"};
+if(tpl === "avoidseatattr") rule = {type:"AvoidSeatAttribute", name:"Away from the door", hard:false, weight:2, tag:"talkative", seat_attr:"door"};
+if(tpl === "clearview") rule = {type:"ClearViewOfBoard", name:"Can see the board", hard:true, pupil_id:a};
+if(tpl === "viewangle") rule = {type:"MaxViewingAngle", name:"Board straight ahead", hard:false, weight:2, pupil_id:a, max_deg:30};
+if(tpl === "zonebalance") rule = {type:"ZoneBalance", name:"Mix tag across the room", hard:false, weight:2, tag:"talkative", by:"quadrants", tolerance:0};
+if(tpl === "tablebalance") rule = {type:"TableBalance", name:"Spread tag across tables", hard:false, weight:2, tag:"talkative", tolerance:0};
 
 rules.push(rule);
 $("txtRules").dataset.dirty = "";
@@ -777,17 +1759,418 @@ updateKPIs("Rule added.");
 saveLocal();
 }
 
+// --------- CSV roster import / plan export ---------
+// Import goes through a preview: rows are parsed with the current column mapping,
+// checked against the map and the existing pupils, and only then merged.
+const csvImport = { rows: [], mapping: null };
+
+const ROSTER_FIELD_LABELS = { id:"ID", name:"Display name", label:"Short label", tags:"Tags", row:"Fixed row", col:"Fixed col", seat:"Fixed seat" };
+
+function openCsvImport(){
+$("txtCsv").value = "";
+$("fileCsv").value = "";
+csvImport.rows = [];
+csvImport.mapping = null;
+renderCsvPreview();
+const dlg = $("dlgCsv");
+if(dlg.showModal) dlg.showModal(); else dlg.setAttribute("open", "");
+}
+
+function closeCsvImport(){
+const dlg = $("dlgCsv");
+if(dlg.close) dlg.close(); else dlg.removeAttribute("open");
+}
+
+function csvDelimiter(){
+const v = $("selCsvDelim").value;
+return v === "auto" ? null : (v === "tab" ? "\t" : v);
+}
+
+// Re-parse the pasted text; keeps the user's column mapping unless the columns changed.
+function parseCsvInput(){
+const rows = PlannerCore.parseDelimited($("txtCsv").value, csvDelimiter());
+const header = $("chkCsvHeader").checked ? (rows[0] || []) : null;
+const width = Math.max(0, ...rows.map(r=>r.length));
+if(!csvImport.mapping || csvImport.width !== width || csvImport.header !== String(header)){
+    csvImport.mapping = PlannerCore.guessRosterColumns(header || []);
+    // without a header, fall back to column order: id, name, tags
+    if(!header){
+    csvImport.mapping.name = width > 1 ? 1 : -1;
+    csvImport.mapping.tags = width > 2 ? 2 : -1;
+    }
+}
+csvImport.rows = rows;
+csvImport.width = width;
+csvImport.header = String(header);
+renderCsvPreview();
+}
+
+function csvRoster(){
+const hasHeader = $("chkCsvHeader").checked;
+const body = hasHeader ? csvImport.rows.slice(1) : csvImport.rows;
+const replace = $("chkCsvReplace").checked;
+return PlannerCore.rosterFromRows(body, {
+    mapping: csvImport.mapping || PlannerCore.guessRosterColumns([]),
+    header: hasHeader ? csvImport.rows[0] : null,
+    tagSeparator: $("inpCsvTagSep").value || ";",
+    room: state.room,
+    existingIds: replace ? [] : getPupils().map(p=>p.id),
+    firstLine: hasHeader ? 2 : 1,
+});
+}
+
+function renderCsvPreview(){
+const header = $("chkCsvHeader").checked ? (csvImport.rows[0] || []) : [];
+const mapEl = $("csvMapping");
+mapEl.innerHTML = "";
+if(csvImport.rows.length && csvImport.mapping){
+    for(const f of PlannerCore.ROSTER_FIELDS){
+    const label = document.createElement("label");
+    label.textContent = ROSTER_FIELD_LABELS[f] + " ";
+    const sel = document.createElement("select");
+    sel.add(new Option("—", "-1"));
+    for(let i=0;i<csvImport.width;i++){
+        const name = header[i] ? `${i+1}: ${header[i]}` : `Column ${i+1}`;
+        sel.add(new Option(name, String(i)));
+    }
+    sel.value = String(csvImport.mapping[f]);
+    sel.addEventListener("change", () => {
+        csvImport.mapping[f] = Number(sel.value);
+        renderCsvPreview();
+    });
+    label.appendChild(sel);
+    mapEl.appendChild(label);
+    }
+}
+
+const { report } = csvRoster();
+const count = (st) => report.filter(x=>x.status===st).length;
+$("csvSummary").textContent = report.length
+    ? `${count("ok")} ready · ${count("warn")} with warnings · ${count("error")} skipped`
+    : "Nothing to import yet.";
+$("btnCsvApply").disabled = report.length === count("error");
+
+const prev = $("csvPreview");
+prev.innerHTML = "";
+if(!report.length) return;
+const table = document.createElement("table");
+const head = table.createTHead().insertRow();
+for(const t of ["Line", "ID", "Name", "Tags", "Attributes", "Fixed", "Check"]){
+    const th = document.createElement("th");
+    th.textContent = t;
+    head.appendChild(th);
+}
+const tbody = table.createTBody();
+for(const item of report){
+    const tr = tbody.insertRow();
+    tr.className = item.status;
+    const p = item.pupil;
+    const fixed = p.fixed ? (p.fixed.seat || `${p.fixed.r},${p.fixed.c}`) : "";
+    const attrs = Object.entries(p.attrs||{}).map(([k,v])=>`${k}=${v}`).join(", ");
+    for(const v of [item.line, p.id, p.name||"", p.tags.join(", "), attrs, fixed, item.messages.join("; ") || "ok"]){
+    tr.insertCell().textContent = String(v);
+    }
+}
+prev.appendChild(table);
+}
+
+function applyCsvImport(){
+const { pupils: incoming, report } = csvRoster();
+if(!incoming.length){ toast("No valid rows"); return; }
+
+let pupils;
+if($("chkCsvReplace").checked){
+    pupils = incoming;
+} else {
+    pupils = getPupils();
+    const at = new Map(pupils.map((p,i)=>[p.id,i]));
+    for(const p of incoming){
+    if(at.has(p.id)) pupils[at.get(p.id)] = p;
+    else pupils.push(p);
+    }
+}
+setPupilsText(pupils);
+try{ state.assignment = repairAssignment(state.assignment||{}, Number($("inpSeed").value||12345)); }catch{}
+closeCsvImport();
+rebuildMap();
+saveLocal();
+const skipped = report.filter(x=>x.status==="error").length;
+toast(`Imported ${incoming.length} pupils` + (skipped ? ` (${skipped} skipped)` : ""));
+}
+
+function downloadText(filename, text, type){
+const url = URL.createObjectURL(new Blob([text], { type }));
+const a = document.createElement("a");
+a.href = url;
+a.download = filename;
+document.body.appendChild(a);
+a.click();
+a.remove();
+setTimeout(()=>URL.revokeObjectURL(url), 1000);
+}
+
+function exportPlanCSV(){
+readTextAreasIntoState();
+const csv = PlannerCore.planToCSV({ room: state.room, pupils: state.pupils }, state.assignment);
+downloadText("seating-plan.csv", csv, "text/csv");
+toast("CSV downloaded");
+}
+
+// --------- Exam mode ---------
+// Spaced-out seats with paper versions (PlannerCore.examLayout). While it's on,
+// currentProblem() only has the exam seats, so solving, repairs and checks keep
+// pupils to them; the map numbers the seats and dims the rest.
+let examCache = null;
+
+function currentExam(){
+// fixed pupils keep their seats in the exam too
+const keep = getPupils().map(p => PlannerCore.fixedSeatOf(state.room, p)).filter(Boolean);
+const key = JSON.stringify([Array.from(state.room.seats), Array.from(state.room.seatLabels), state.exam, keep]);
+if(examCache?.key !== key){
+    const layout = PlannerCore.examLayout(state.room, { ...state.exam, keep });
+    examCache = { key, layout, room: PlannerCore.examRoom(state.room, layout), bySeat: new Map(layout.seats.map(s => [s.sid, s])) };
+}
+return examCache;
+}
+
+// Saved per class in the library ({on, pattern, min_d, versions}).
+function normaliseExam(obj){
+const o = obj && typeof obj === "object" ? obj : {};
+return {
+    on: !!o.on,
+    pattern: PlannerCore.EXAM_PATTERNS.includes(o.pattern) ? o.pattern : "checkerboard",
+    min_d: clamp(Number(o.min_d)||2, 1, 10),
+    versions: clamp(Number(o.versions)||2, 1, PlannerCore.EXAM_MAX_VERSIONS),
+};
+}
+
+function readExamSettings(){
+state.exam = normaliseExam({
+    on: $("chkExam").checked,
+    pattern: $("selExamPattern").value,
+    min_d: $("inpExamDist").value,
+    versions: $("inpExamVersions").value,
+});
+}
+
+function showExamSettings(){
+$("chkExam").checked = state.exam.on;
+$("selExamPattern").value = state.exam.pattern;
+$("inpExamDist").value = String(state.exam.min_d);
+$("inpExamVersions").value = String(state.exam.versions);
+$("inpExamDist").disabled = state.exam.pattern !== "distance";
+}
+
+function onExamChange(){
+readExamSettings();
+showExamSettings();
+// Pupils on seats that are no longer in use move to free exam seats.
+try{ state.assignment = repairAssignment(state.assignment||{}, Number($("inpSeed").value||12345)); }
+catch(e){ toast(String(e.message||e)); }
+rebuildMap();
+saveLocal();
+}
+
+function renderExamInfo(){
+const info = $("examInfo");
+if(!state.exam.on){ info.textContent = ""; return; }
+const { layout } = currentExam();
+const pupils = getPupils().length;
+const versions = Array.from(new Set(layout.seats.map(s => s.version))).sort();
+const parts = [`${layout.seats.length} exam seats for ${pupils} pupils`, `papers ${versions.join(", ") || "—"}`];
+if(layout.seats.length < pupils) parts.push(`${pupils - layout.seats.length} too few seats — try a tighter spacing`);
+if(layout.clashes.length) parts.push(`${layout.clashes.length} pair${layout.clashes.length===1 ? "" : "s"} of neighbours share a paper — add a version`);
+info.textContent = parts.join(" · ") + ".";
+}
+
+function downloadExamList(){
+if(!state.exam.on){ toast("Turn exam mode on first"); return; }
+readTextAreasIntoState();
+const csv = PlannerCore.examListCSV(currentProblem(), state.assignment, currentExam().layout);
+downloadText("exam-seating.csv", csv, "text/csv");
+toast("Exam list downloaded");
+}
+
+// --------- Printable chart ---------
+const PAPER = { a4: { name: "A4", w: 210, h: 297 }, letter: { name: "letter", w: 216, h: 279 } };
+
+function chartSVG(){
+readTextAreasIntoState();
+const labelMode = $("selPrintNames").value;
+const labelOf = (p) => labelMode === "name" ? (p.name || p.id)
+    : labelMode === "initials" ? (p.label || initialsOf(p.name) || p.id) : p.id;
+return PlannerCore.planToSVG({ room: state.room, pupils: state.pupils }, state.assignment, {
+    title: $("inpPrintTitle").value.trim(),
+    date: $("inpPrintDate").value,
+    orientation: $("selPrintView").value,
+    labelOf,
+});
+}
+
+function openPrintDialog(){
+$("inpPrintTitle").value = library.classes[library.current].name;
+$("inpPrintDate").value = todayISO();
+$("selPrintNames").value = state.chipText;
+renderPrintPreview();
+const dlg = $("dlgPrint");
+if(dlg.showModal) dlg.showModal(); else dlg.setAttribute("open", "");
+}
+function closePrintDialog(){
+const dlg = $("dlgPrint");
+if(dlg.close) dlg.close(); else dlg.removeAttribute("open");
+}
+
+function renderPrintPreview(){
+$("printPreview").innerHTML = chartSVG();
+}
+
+function chartFilename(ext){
+const base = ($("inpPrintTitle").value.trim() || "seating-plan").replace(/[^\w\-]+/g, "-").replace(/^-+|-+$/g, "");
+return `${base || "seating-plan"}-${$("selPrintView").value}.${ext}`;
+}
+
+function downloadChartSVG(){
+downloadText(chartFilename("svg"), chartSVG(), "image/svg+xml");
+toast("SVG downloaded");
+}
+
+// Prints from a bare window so page styles (and the e-ink toggle) don't leak in.
+// The sheet turns landscape when the chart is wider than tall.
+function printChart(){
+const svg = chartSVG();
+const [, w, h] = svg.match(/viewBox="0 0 ([\d.]+) ([\d.]+)"/).map(Number);
+const paper = PAPER[$("selPrintPaper").value] || PAPER.a4;
+const landscape = w > h;
+const win = window.open("", "_blank");
+if(!win){ toast("Allow pop-ups to print"); return; }
+win.document.write(`<!doctype html><html><head><meta charset="utf-8"><title>${$("inpPrintTitle").value.replace(/</g, "&lt;")}</title>
+<style>
+@page { size: ${paper.name} ${landscape ? "landscape" : "portrait"}; margin: 10mm; }
+html, body { margin: 0; }
+svg { display: block; width: 100%; height: auto; max-height: calc(${landscape ? paper.w : paper.h}mm - 20mm); }
+</style></head><body>${svg}</body></html>`);
+win.document.close();
+win.focus();
+win.print();
+}
+
+// --------- Layout templates ---------
+// A gallery of generated rooms (PlannerCore.layoutTemplate). Using one replaces
+// this room's tiles; pupils are reseated on the new seats.
+const LAYOUT_PARAM_LABELS = {
+rows: "Rows", per_row: "Seats per row", aisles: "Aisles", benches: "Benches per row",
+depth: "Depth", width: "Width", clusters: "Clusters", size: "Seats per cluster",
+island: "Centre bench rows", cols: "Desks per row", spacing: "Gap between desks",
+};
+const layoutPick = { name: "rows", params: {} };
+
+function openLayoutDialog(){
+renderLayoutGallery();
+renderLayoutParams();
+renderLayoutPreview();
+const dlg = $("dlgLayout");
+if(dlg.showModal) dlg.showModal(); else dlg.setAttribute("open", "");
+}
+function closeLayoutDialog(){
+const dlg = $("dlgLayout");
+if(dlg.close) dlg.close(); else dlg.removeAttribute("open");
+}
+
+function renderLayoutGallery(){
+const box = $("layoutGallery");
+box.innerHTML = "";
+for(const [name, t] of Object.entries(PlannerCore.LAYOUT_TEMPLATES)){
+    const card = document.createElement("button");
+    card.type = "button";
+    card.className = "layoutCard";
+    card.setAttribute("aria-pressed", name === layoutPick.name ? "true" : "false");
+    const title = document.createElement("strong");
+    title.textContent = t.label;
+    card.append(title, miniMap({}, new Map(), PlannerCore.layoutTemplate(name)));
+    card.addEventListener("click", () => {
+    layoutPick.name = name;
+    layoutPick.params = {};
+    renderLayoutGallery();
+    renderLayoutParams();
+    renderLayoutPreview();
+    });
+    box.appendChild(card);
+}
+}
+
+function renderLayoutParams(){
+const box = $("layoutParams");
+box.innerHTML = "";
+const t = PlannerCore.LAYOUT_TEMPLATES[layoutPick.name];
+const values = PlannerCore.layoutParams(layoutPick.name, layoutPick.params);
+for(const [k, [, lo, hi, choices]] of Object.entries(t.params)){
+    const label = document.createElement("label");
+    let input;
+    if(choices){
+    input = document.createElement("select");
+    for(const x of choices) input.appendChild(new Option(String(x), String(x)));
+    }
+    else{
+    input = document.createElement("input");
+    input.type = "number";
+    input.min = String(lo);
+    input.max = String(hi);
+    }
+    input.value = String(values[k]);
+    input.addEventListener(choices ? "change" : "input", () => { layoutPick.params[k] = input.value; renderLayoutPreview(); });
+    label.append(`${LAYOUT_PARAM_LABELS[k] || k} `, input);
+    box.appendChild(label);
+}
+}
+
+function renderLayoutPreview(){
+const box = $("layoutPreview");
+box.innerHTML = "";
+try{
+    const room = PlannerCore.layoutTemplate(layoutPick.name, layoutPick.params, state.room.cell);
+    const seats = room.seats.size, pupils = getPupils().length;
+    const tables = PlannerCore.tableNames(room).length;
+    $("layoutSummary").textContent = `${seats} seats${tables ? ` at ${tables} tables` : ""} · ${room.rows}×${room.cols} tiles`
+    + (pupils > seats ? ` · ${pupils} pupils won't fit` : "");
+    box.appendChild(miniMap({}, new Map(), room));
+    $("btnLayoutUse").disabled = false;
+}catch(err){
+    $("layoutSummary").textContent = String(err.message||err);
+    $("btnLayoutUse").disabled = true;
+}
+}
+
+function useLayout(){
+let room;
+try{ room = PlannerCore.layoutTemplate(layoutPick.name, layoutPick.params, state.room.cell); }
+catch(err){ toast(String(err.message||err)); return; }
+if(state.room.seats.size && !confirm("Replace every tile of this room with the template? Pupils will be reseated.")) return;
+readTextAreasIntoState();
+state.room = room;
+state.movePick = null;
+$("inpRows").value = String(room.rows);
+$("inpCols").value = String(room.cols);
+closeLayoutDialog();
+let msg = `${PlannerCore.LAYOUT_TEMPLATES[layoutPick.name].label} layout ready`;
+// e.g. a pupil fixed to a tile that is no longer a seat
+try{ state.assignment = repairAssignment({}, Number($("inpSeed").value||12345)); }
+catch(e){ state.assignment = {}; msg = `${msg}, but no plan: ${e.message||e}`; }
+rebuildMap();
+saveLocal();
+toast(msg);
+}
+
 // --------- Demo content ---------
 function demoFill(){
 const pupils = [
-    {id:"A", tags:["needs_front"], fixed:null},
-    {id:"B", tags:["talkative"], fixed:null},
-    {id:"C", tags:["talkative"], fixed:null},
-    {id:"D", tags:[], fixed:null},
-    {id:"E", tags:[], fixed:{r:1,c:0}},
-    {id:"F", tags:[], fixed:null},
-    {id:"G", tags:[], fixed:null},
-    {id:"H", tags:[], fixed:null}
+    {id:"A", name:"Ava Brown", tags:["needs_front"], attrs:{gender:"F", band:2}, fixed:null},
+    {id:"B", name:"Ben Carter", tags:["talkative"], attrs:{gender:"M", band:3}, fixed:null},
+    {id:"C", name:"Chloe Davies", tags:["talkative"], attrs:{gender:"F", band:1}, fixed:null},
+    {id:"D", name:"Dev Patel", tags:[], attrs:{gender:"M", band:2}, fixed:null},
+    {id:"E", name:"Ellie Evans", label:"EE", tags:[], attrs:{gender:"F", band:3}, fixed:{r:1,c:0}},
+    {id:"F", name:"Finn Green", tags:[], attrs:{gender:"M", band:1}, fixed:null},
+    {id:"G", name:"Grace Hughes", tags:[], attrs:{gender:"F", band:2}, fixed:null},
+    {id:"H", name:"Harry Jones", tags:[], attrs:{gender:"M", band:3}, fixed:null}
 ];
 
 const rules = [
@@ -815,13 +2198,240 @@ saveLocal();
 toast("Demo loaded");
 }
 
+// --------- Background solver ---------
+// solve()/quickImprove() run in solver-worker.js so the page keeps painting.
+// One job at a time; cancelling terminates the worker and keeps the best plan
+// it last reported.
+const SOLVER_WORKER_URL = new URL("solver-worker.js", document.currentScript?.src || location.href).href;
+let solverJob = null;
+let solverJobSeq = 0;
+
+function runSolverJob(type, settings, onProgress){
+if(solverJob) return Promise.reject(new Error("Solver already running"));
+const problem = currentProblem();
+const start = type === "improve" ? state.assignment : undefined;
+const id = ++solverJobSeq;
+
+function runInline(){
+    // No worker available (e.g. page opened from file://): same code, on this thread.
+    const fn = type === "solve" ? PlannerCore.solve : PlannerCore.quickImprove;
+    return { result: fn(problem, {...settings, start}), cancelled: false };
+}
+
+return new Promise((resolve, reject) => {
+    let worker;
+    try{ worker = new Worker(SOLVER_WORKER_URL); }
+    catch(err){
+    try{ resolve(runInline()); }catch(e){ reject(e); }
+    return;
+    }
+
+    let best = null;
+    function finish(){
+    worker.terminate();
+    solverJob = null;
+    setSolverBusy(false);
+    }
+
+    solverJob = {
+    cancel(){ finish(); resolve({ result: best, cancelled: true }); },
+    };
+    setSolverBusy(true);
+
+    worker.onmessage = (e) => {
+    const m = e.data || {};
+    if(m.id !== id) return;
+    if(m.type === "progress"){
+        if(m.assignment) best = { assignment: m.assignment, bestScore: m.bestScore, bestHard: m.bestHard };
+        onProgress?.(m);
+    } else if(m.type === "done"){
+        finish();
+        resolve({ result: m.result, cancelled: false });
+    } else {
+        finish();
+        reject(new Error(m.message || "Solver failed"));
+    }
+    };
+    worker.onerror = (e) => {
+    // The worker script itself failed to load; fall back to the inline solver.
+    e.preventDefault?.();
+    finish();
+    try{ resolve(runInline()); }catch(err){ reject(err); }
+    };
+
+    worker.postMessage({ type, id, problem, settings, start });
+});
+}
+
+const EXACT_STATUS_LABELS = {
+feasible: "all hard rules met",
+infeasible: "hard rules can't all hold",
+unknown: "gave up, annealed instead",
+};
+
+function cancelSolverJob(){
+solverJob?.cancel();
+}
+
+function setSolverBusy(busy){
+$("btnSolve").disabled = busy || state.inputErrors > 0;
+$("btnStep").disabled = busy || state.inputErrors > 0;
+$("btnCancel").hidden = !busy;
+$("solveProgress").hidden = !busy;
+if(busy) setSolverProgress(0);
+}
+
+function setSolverProgress(frac){
+$("solveProgress").value = clamp(frac || 0, 0, 1);
+}
+
+function applySolverResult(out){
+// Pupils or the map may have been edited while the job ran.
+try{ state.assignment = repairAssignment(out.assignment || {}, Number($("inpSeed").value||12345)); }
+catch{ state.assignment = out.assignment || {}; }
+rebuildMap();
+saveLocal();
+}
+
+// --------- Candidate plans ---------
+// With "Keep plans" above 1 the solver returns several plans that differ by at
+// least "Differ by" pupils; each gets a mini-map, its scores and the rules it
+// breaks, and "Use" makes it the current plan. They are dropped as soon as the
+// problem they were found for changes (updateKPIs()).
+function candidatesSignature(){
+return JSON.stringify([problemSignature(), state.exam, state.history.length]);
+}
+
+function renderCandidates(){
+const box = $("candidateBox");
+const list = $("candidateList");
+list.innerHTML = "";
+box.hidden = state.candidates.length < 2;
+if(box.hidden) return;
+
+const problem = currentProblem();
+const pupilsById = new Map(problem.pupils.map(p=>[p.id,p]));
+const current = state.assignment || {};
+state.candidates.forEach((cand, i) => {
+    const moved = Object.keys(cand.assignment).filter(pid => current[pid] !== cand.assignment[pid]).length;
+    const active = moved === 0 && Object.keys(current).length === Object.keys(cand.assignment).length;
+
+    const card = document.createElement("div");
+    card.className = "candidate" + (active ? " active" : "");
+
+    const head = document.createElement("div");
+    head.className = "row";
+    const title = document.createElement("strong");
+    title.textContent = `Plan ${i+1}`;
+    const score = document.createElement("span");
+    score.className = "pill";
+    score.textContent = `score ${cand.bestScore} · hard ${cand.bestHard}`;
+    const use = document.createElement("button");
+    use.textContent = active ? "In use" : "Use";
+    use.disabled = active;
+    use.addEventListener("click", () => useCandidate(i));
+    head.append(title, score, use);
+
+    const meta = document.createElement("div");
+    meta.className = "small";
+    meta.textContent = active ? "The current plan." : `${moved} pupil${moved===1 ? "" : "s"} seated differently from the current plan.`;
+
+    const broken = document.createElement("ul");
+    broken.className = "candidateRules small";
+    if(state.inputErrors === 0){
+    for(const b of PlannerCore.ruleBreakdown(problem, cand.assignment)){
+        if(!b.broken) continue;
+        const li = document.createElement("li");
+        li.textContent = `${b.rule.name || b.rule.type}: ${b.hard ? "broken" : `+${b.penalty}`}`;
+        if(b.hard) li.className = "hard";
+        broken.appendChild(li);
+    }
+    if(!broken.childElementCount){
+        const li = document.createElement("li");
+        li.textContent = "No broken rules.";
+        broken.appendChild(li);
+    }
+    }
+
+    card.append(head, miniMap(cand.assignment, pupilsById), meta, broken);
+    list.appendChild(card);
+});
+}
+
+function miniMap(assign, pupilsById, room = state.room){
+const grid = document.createElement("div");
+grid.className = "miniMap";
+grid.style.setProperty("--cols", String(room.cols));
+const inv = invertAssignment(assign);
+for(let r=0;r<room.rows;r++){
+    for(let c=0;c<room.cols;c++){
+    const cell = document.createElement("div");
+    cell.className = "miniCell";
+    if(PlannerCore.isBlocked(room, r, c)) cell.classList.add("blocked");
+    if(PlannerCore.isTeacher(room, r, c)) cell.classList.add("teacher");
+    if(PlannerCore.isBoard(room, r, c)) cell.classList.add("board");
+    const seatId = room.seats.get(keyRC(r,c));
+    if(seatId != null){
+        cell.classList.add("seat");
+        const pid = inv[seatId];
+        if(pid){
+        const p = pupilsById.get(pid);
+        cell.textContent = p ? chipText(p) : pid;
+        cell.title = p?.name ? `${p.name} (${pid})` : pid;
+        if(state.assignment?.[pid] !== seatId) cell.classList.add("moved");
+        }
+    }
+    grid.appendChild(cell);
+    }
+}
+return grid;
+}
+
+function useCandidate(i){
+const cand = state.candidates[i];
+if(!cand) return;
+applySolverResult(cand);
+renderCandidates();
+updateKPIs(`Using plan ${i+1}. score=${cand.bestScore}`);
+toast(`Using plan ${i+1}`);
+}
+
 // --------- Wire up events ---------
 for(const btn of document.querySelectorAll(".toolBtn")){
-btn.addEventListener("click", () => setTool(btn.dataset.tool));
+btn.addEventListener("click", () => {
+    setTool(btn.dataset.tool);
+    state.arrangePick = null;
+    state.movePick = null;
+    rebuildMap();
+});
 }
 
 $("inpRows").addEventListener("change", () => {});
 $("inpCols").addEventListener("change", () => {});
+$("selChipText").addEventListener("change", () => {
+state.chipText = $("selChipText").value;
+localStorage.setItem("seating_planner_chip_text", state.chipText);
+rebuildMap();
+});
+$("chkSeatLabels").addEventListener("change", () => {
+state.seatLabels = $("chkSeatLabels").checked;
+localStorage.setItem("seating_planner_seat_labels", state.seatLabels ? "1" : "0");
+rebuildMap();
+});
+$("btnNumberSeats").addEventListener("click", numberSeats);
+$("map").addEventListener("pointerdown", onMapPointerDown);
+$("map").addEventListener("pointermove", onMapPointerMove);
+window.addEventListener("pointerup", onMapPointerUp);
+window.addEventListener("pointercancel", onMapPointerUp);
+$("selPaintShape").addEventListener("change", () => { state.paintShape = $("selPaintShape").value; });
+$("btnCopyTiles").addEventListener("click", copyTiles);
+$("btnPasteTiles").addEventListener("click", pasteTiles);
+$("btnRowInsert").addEventListener("click", insertRows);
+$("btnRowDelete").addEventListener("click", deleteRows);
+$("btnColInsert").addEventListener("click", insertCols);
+$("btnColDelete").addEventListener("click", deleteCols);
+$("btnFlipH").addEventListener("click", () => editRoom(room => PlannerCore.flipRoom(room, "h"), "Room mirrored left to right"));
+$("btnFlipV").addEventListener("click", () => editRoom(room => PlannerCore.flipRoom(room, "v"), "Room flipped front to back"));
 $("inpCell").addEventListener("change", () => {
 state.room.cell = clamp(Number($("inpCell").value||42), 28, 64);
 rebuildMap();
@@ -831,23 +2441,7 @@ saveLocal();
 $("btnResize").addEventListener("click", () => {
 const newR = clamp(Number($("inpRows").value||8), 1, 40);
 const newC = clamp(Number($("inpCols").value||10), 1, 40);
-
-// Prune tiles that are out of bounds
-function inBoundsKey(k){
-    const [r,c] = k.split(",").map(Number);
-    return r>=0 && r<newR && c>=0 && c<newC;
-}
-state.room.blocked = new Set(Array.from(state.room.blocked).filter(inBoundsKey));
-state.room.teacher = new Set(Array.from(state.room.teacher).filter(inBoundsKey));
-
-const newSeats = new Map();
-for(const [k,v] of state.room.seats.entries()){
-    if(inBoundsKey(k)) newSeats.set(k, v);
-}
-state.room.seats = newSeats;
-
-state.room.rows = newR;
-state.room.cols = newC;
+PlannerCore.resizeRoom(state.room, newR, newC);
 
 // repair assignment
 try{ state.assignment = repairAssignment(state.assignment||{}, Number($("inpSeed").value||12345)); }
@@ -860,17 +2454,19 @@ toast("Grid resized");
 
 $("txtPupils").addEventListener("input", () => { $("txtPupils").dataset.dirty = "1"; updateKPIs("Pupils edited."); });
 $("txtRules").addEventListener("input", () => { $("txtRules").dataset.dirty = "1"; updateKPIs("Rules edited."); });
+$("txtPupils").addEventListener("change", saveLocal);
+$("txtRules").addEventListener("change", saveLocal);
+$("chkBrokenOnly").addEventListener("change", () => updateKPIs());
 
 $("btnAddPupil").addEventListener("click", () => {
 const id = $("inpPupilId").value.trim();
 if(!id){ toast("Enter pupil ID"); return; }
+const name = $("inpPupilName").value.trim();
 const tags = $("inpPupilTags").value.split(",").map(s=>s.trim()).filter(Boolean);
 const pupils = getPupils();
 if(pupils.some(p=>p.id===id)){ toast("ID exists"); return; }
-pupils.push({id, tags, fixed:null});
-$("txtPupils").dataset.dirty = "";
-$("txtPupils").value = JSON.stringify(pupils, null, 2);
-readTextAreasIntoState();
+pupils.push({id, ...(name ? {name} : {}), tags, fixed:null});
+setPupilsText(pupils);
 try{ state.assignment = repairAssignment(state.assignment||{}, Number($("inpSeed").value||12345)); }catch{}
 rebuildMap();
 saveLocal();
@@ -878,7 +2474,40 @@ toast("Pupil added");
 });
 
 $("btnAutoFill").addEventListener("click", demoFill);
+
+$("btnImportCsv").addEventListener("click", openCsvImport);
+$("btnExportCsv").addEventListener("click", exportPlanCSV);
+for(const id of ["chkExam", "selExamPattern", "inpExamDist", "inpExamVersions"]){
+$(id).addEventListener("change", onExamChange);
+}
+$("btnExamList").addEventListener("click", downloadExamList);
+$("txtCsv").addEventListener("input", parseCsvInput);
+$("selCsvDelim").addEventListener("change", parseCsvInput);
+$("chkCsvHeader").addEventListener("change", () => { csvImport.mapping = null; parseCsvInput(); });
+$("inpCsvTagSep").addEventListener("input", renderCsvPreview);
+$("chkCsvReplace").addEventListener("change", renderCsvPreview);
+$("fileCsv").addEventListener("change", async () => {
+const file = $("fileCsv").files[0];
+if(!file) return;
+$("txtCsv").value = await file.text();
+csvImport.mapping = null;
+parseCsvInput();
+});
+$("btnCsvCancel").addEventListener("click", closeCsvImport);
+$("btnCsvApply").addEventListener("click", applyCsvImport);
 $("btnAddRule").addEventListener("click", addRuleTemplate);
+$("btnSnapshot").addEventListener("click", saveSnapshot);
+
+$("selClass").addEventListener("change", () => openClass($("selClass").value));
+$("selRoom").addEventListener("change", () => useRoom($("selRoom").value));
+$("btnClassNew").addEventListener("click", newClass);
+$("btnClassDup").addEventListener("click", duplicateClass);
+$("btnClassRename").addEventListener("click", renameClass);
+$("btnClassDelete").addEventListener("click", deleteClass);
+$("btnRoomNew").addEventListener("click", newRoom);
+$("btnRoomDup").addEventListener("click", duplicateRoom);
+$("btnRoomRename").addEventListener("click", renameRoom);
+$("btnRoomDelete").addEventListener("click", deleteRoom);
 
 $("btnShuffle").addEventListener("click", () => {
 readTextAreasIntoState();
@@ -891,24 +2520,19 @@ try{
 }catch(e){ toast(String(e.message||e)); }
 });
 
-$("btnStep").addEventListener("click", () => {
+$("btnStep").addEventListener("click", async () => {
 readTextAreasIntoState();
 try{
     const seed = Number($("inpSeed").value||12345);
-    const out = quickImprove({
-    iters: 4000,
-    t0: 2.5,
-    t1: 0.05,
-    seed,
-    progressCb: (p) => {
-        if(p.i % 800 === 0) updateKPIs(`Improving… best=${p.bestScore}`);
-    }
+    const settings = { iters: 4000, t0: 2.5, t1: 0.05, seed };
+    const { result: out, cancelled } = await runSolverJob("improve", settings, (p) => {
+    setSolverProgress(p.i / p.iters);
+    updateKPIs(`Improving… best=${p.bestScore}`);
     });
-    state.assignment = out.assignment;
-    rebuildMap();
-    updateKPIs(out.bestScore===0 ? "Perfect score." : `Improved. score=${out.bestScore}`);
-    saveLocal();
-    toast("Improved");
+    if(!out){ updateKPIs("Cancelled."); return; }
+    applySolverResult(out);
+    updateKPIs(cancelled ? `Cancelled. kept score=${out.bestScore}` : (out.bestScore===0 ? "Perfect score." : `Improved. score=${out.bestScore}`));
+    toast(cancelled ? "Cancelled" : "Improved");
 }catch(e){
     toast(String(e.message||e));
 }
@@ -916,41 +2540,92 @@ try{
 
 $("btnSolve").addEventListener("click", async () => {
 readTextAreasIntoState();
+const feasible = checkFeasibility();
+if(!feasible.ok && !confirm("Some hard rules contradict each other (see Rule check), so no plan can meet them all. Solve anyway?")){
+    updateKPIs("Solve skipped: hard rules conflict.");
+    return;
+}
 try{
-    const restarts = clamp(Number($("inpRestarts").value||25), 1, 80);
-    const iters = clamp(Number($("inpIters").value||25000), 100, 300000);
-    const t0 = Math.max(0.05, Number($("inpT0").value||6.0));
-    const t1 = Math.max(0.001, Number($("inpT1").value||0.05));
-    const seed = Number($("inpSeed").value||12345);
-
-    // prevent UI freeze: yield between restarts using a microtask
-    let lastMsg = 0;
-    const out = solve({
-    restarts,
-    itersPerRestart: iters,
-    t0,
-    t1,
-    seed,
-    progressCb: (p) => {
-        const now = performance.now();
-        if(now - lastMsg > 120){
-        updateKPIs(`Solving… restart ${p.restart}/${p.restarts} · best=${p.bestScore}`);
-        lastMsg = now;
-        }
+    const settings = PlannerCore.normaliseSolverSettings({
+    restarts: $("inpRestarts").value,
+    itersPerRestart: $("inpIters").value,
+    t0: $("inpT0").value,
+    t1: $("inpT1").value,
+    seed: $("inpSeed").value,
+    mode: $("selSolverMode").value,
+    keep: $("inpKeep").value,
+    minDiff: $("inpMinDiff").value,
+    });
+    const sig = candidatesSignature();
+    const { result: out, cancelled } = await runSolverJob("solve", settings, (p) => {
+    if(p.phase === "exact"){
+        updateKPIs(`Searching hard rules… ${p.nodes} nodes`);
+        return;
     }
+    const done = (p.restart - 1 + (p.i==null ? 1 : p.i / p.iters)) / p.restarts;
+    setSolverProgress(done);
+    updateKPIs(`Solving… restart ${p.restart}/${p.restarts} · best=${p.bestScore}`);
     });
+    if(!out){
+    state.candidates = [];
+    renderCandidates();
+    updateKPIs("Cancelled before the first restart finished.");
+    return;
+    }
+    if(!out.assignment){
+    // Exact-only mode found nothing: keep the current plan.
+    const why = out.exact?.status === "infeasible" ? "The hard rules can't all hold (proved)." : "No plan found within the search limit.";
+    updateKPIs(why);
+    toast(why);
+    return;
+    }
 
-    state.assignment = out.assignment || {};
-    rebuildMap();
-    updateKPIs(out.bestScore===0 ? "Perfect score." : `Done. score=${out.bestScore}`);
-    saveLocal();
-    toast(out.bestScore===0 ? "Solved" : "Done");
+    applySolverResult(out);
+    // A cancelled run's plans are only part of the search: don't offer them.
+    state.candidates = cancelled ? [] : out.candidates || [];
+    state.candidatesSig = sig;
+    renderCandidates();
+    const exact = out.exact ? ` · exact search: ${EXACT_STATUS_LABELS[out.exact.status]}` : "";
+    if(cancelled) updateKPIs(`Cancelled. kept best score=${out.bestScore}`);
+    else updateKPIs((out.bestScore===0 ? "Perfect score." : `Done. score=${out.bestScore}`) + exact);
+    toast(cancelled ? "Cancelled" : (out.bestScore===0 ? "Solved" : "Done"));
 }catch(e){
     toast(String(e.message||e));
     updateKPIs("Error: " + String(e.message||e));
 }
 });
 
+$("btnCancel").addEventListener("click", cancelSolverJob);
+$("btnFeasibility").addEventListener("click", () => {
+const report = checkFeasibility();
+toast(report.ok ? "No conflicts found" : `${report.conflicts.filter(x => x.level === "error").length} conflict(s)`);
+});
+
+$("btnPrint").addEventListener("click", openPrintDialog);
+for(const id of ["inpPrintTitle", "inpPrintDate", "selPrintView", "selPrintNames"]){
+$(id).addEventListener("input", renderPrintPreview);
+}
+$("btnPrintSvg").addEventListener("click", downloadChartSVG);
+$("btnPrintGo").addEventListener("click", printChart);
+$("btnPrintClose").addEventListener("click", closePrintDialog);
+
+$("btnTemplates").addEventListener("click", openLayoutDialog);
+$("btnLayoutUse").addEventListener("click", useLayout);
+$("btnLayoutClose").addEventListener("click", closeLayoutDialog);
+
+$("btnUndo").addEventListener("click", undo);
+$("btnRedo").addEventListener("click", redo);
+document.addEventListener("keydown", (e) => {
+if(!(e.ctrlKey || e.metaKey) || e.altKey) return;
+// Text fields keep their own undo.
+if(e.target.closest?.("input, textarea, select")) return;
+const key = e.key.toLowerCase();
+if(key === "z" && !e.shiftKey){ e.preventDefault(); undo(); }
+else if((key === "z" && e.shiftKey) || key === "y"){ e.preventDefault(); redo(); }
+});
+// a pending undo write isn't lost with the tab
+window.addEventListener("pagehide", flushUndo);
+
 $("btnExport").addEventListener("click", async () => {
 try{
     const data = exportJSON();
@@ -973,7 +2648,10 @@ catch(e){ toast("Import failed"); }
 
 $("btnReset").addEventListener("click", () => {
 if(!confirm("Reset everything?")) return;
-localStorage.removeItem("seating_planner_v"+MODEL_VERSION);
+localStorage.removeItem(LIBRARY_KEY);
+localStorage.removeItem(LEGACY_KEY);
+flushUndo();
+clearStoredUndo();
 location.reload();
 });
 
@@ -1016,6 +2694,10 @@ state.assignment = {};
 
 (function boot(){
 setTool("seat");
+$("selChipText").value = state.chipText;
+$("chkSeatLabels").checked = state.seatLabels;
+$("inpSnapDate").value = todayISO();
+showExamSettings();
 
 if(!loadLocal()){
     initDefaultMap();
@@ -1037,6 +2719,7 @@ if(!loadLocal()){
 try{ state.assignment = repairAssignment(state.assignment||{}, Number($("inpSeed").value||12345)); }
 catch{ state.assignment = {}; }
 
+renderHistory();
 rebuildMap();
 updateKPIs("Ready.");
 })();
@@ -0,0 +1,54 @@
+
+// =====================================
+// Seating Planner — solver worker
+// Runs solve()/quickImprove() off the main thread.
+// =====================================
+//
+// Protocol (all messages are plain objects):
+//   page -> worker  {type:"solve",   id, problem, settings:{restarts, itersPerRestart, t0, t1, seed, mode, keep, minDiff}}
+//                   {type:"improve", id, problem, settings:{iters, t0, t1, seed}, start}
+//   worker -> page  {type:"progress", id, restart, restarts, i?, iters?, bestScore, bestHard, assignment?}   (solve)
+//                   {type:"progress", id, phase:"exact", nodes}                                            (solve, exact modes)
+//                   {type:"progress", id, i, iters, bestScore, hard, assignment}                            (improve)
+//                   {type:"done", id, result:{assignment, bestScore, bestHard, exact?, candidates?}}
+//                   {type:"error", id, message}
+// Solve settings are PlannerCore.normaliseSolverSettings() output. With keep > 1
+// the result has candidates:[{assignment, bestScore, bestHard}], best first, no
+// two with fewer than minDiff pupils in different seats (see PlannerCore.solve).
+// Cancelling is done by the page terminating the worker; it keeps the last
+// `assignment` it received in a progress message.
+
+importScripts("planner-core.js");
+
+// Don't flood the page: iteration and search ticks are throttled, end-of-restart updates always go through.
+const PROGRESS_MIN_MS = 80;
+let lastPost = 0;
+
+function postProgress(id, p){
+const now = Date.now();
+if((p.i != null || p.nodes != null) && now - lastPost < PROGRESS_MIN_MS) return;
+lastPost = now;
+self.postMessage({type:"progress", id, ...p});
+}
+
+self.onmessage = (e) => {
+const msg = e.data || {};
+const { id, problem, settings } = msg;
+try{
+    let result;
+    if(msg.type === "solve"){
+    result = PlannerCore.solve(problem, {...settings, progressCb: (p) => postProgress(id, p)});
+    } else if(msg.type === "improve"){
+    result = PlannerCore.quickImprove(problem, {
+        ...settings,
+        start: msg.start,
+        progressCb: (p) => postProgress(id, {...p, bestHard: p.hard}),
+    });
+    } else {
+    throw new Error(`Unknown message type: ${msg.type}`);
+    }
+    self.postMessage({type:"done", id, result});
+}catch(err){
+    self.postMessage({type:"error", id, message: String(err.message||err)});
+}
+};